@@ -0,0 +1,162 @@
+"use strict";
+
+/**
+ * @module adslots
+ */
+
+var slots = {};
+
+/**
+ * Gets the registered config for a placement
+ * @param  {String} placement
+ * @return {Object/Null} { category, lazyMargin, placement, refresh, sizes }
+ */
+export function getAdSlot( placement ){
+    return Object.prototype.hasOwnProperty.call( slots, placement ) ?
+        slots[ placement ] :
+        null;
+}
+
+/**
+ * Gets every registered placement in the category
+ * @param  {String} category
+ * @return {Array}
+ */
+export function getSlotsByCategory( category ){
+    var result = [];
+    for( var placement in slots ){
+        if( Object.prototype.hasOwnProperty.call( slots, placement ) &&
+            slots[ placement ].category === category ){
+            result.push( slots[ placement ] );
+        }
+    }
+    return result;
+}
+
+/**
+ * Checks if the placement is registered in the category
+ * @param  {String}  placement
+ * @param  {String}  category
+ * @return {Boolean}
+ */
+export function isSlotInCategory( placement, category ){
+    var slot = getAdSlot( placement );
+    return slot !== null && slot.category === category;
+}
+
+/**
+ * Registers a placement, replacing any existing config for it
+ * @param  {String} placement
+ * @param  {Object} config
+ * @param  {String} config.category          e.g. "article", "header", "splash"
+ * @param  {Array}  [config.sizes=[]]        e.g. [[300, 250], "fluid"]
+ * @param  {Number} [config.lazyMargin=0]    Pixels from the viewport to load at
+ * @param  {Object/Boolean} [config.refresh=false] { interval, max } where
+ *                                                 interval is in milliseconds
+ * @return {Object} The slot config
+ */
+export function registerAdSlot( placement, config ){
+    var slot = {
+        "category": config.category || null,
+        "lazyMargin": config.lazyMargin || 0,
+        "placement": placement,
+        "refresh": config.refresh || false,
+        "sizes": config.sizes || []
+    };
+    slots[ placement ] = slot;
+    return slot;
+}
+
+/**
+ * Registers several placements at once
+ * @param  {Object} configs Placement names mapped to their config
+ */
+export function registerAdSlots( configs ){
+    for( var placement in configs ){
+        if( Object.prototype.hasOwnProperty.call( configs, placement ) ){
+            registerAdSlot( placement, configs[ placement ] );
+        }
+    }
+}
+
+/**
+ * Finds the elements with a data-placement attribute and builds a slot for
+ * each of them from the registry. A data-sizes attribute ("300x250,fluid")
+ * overrides the registered sizes. Unregistered placements have no category.
+ * @param  {HTMLElement/Document} [container=document]
+ * @return {Array} [{ category, element, lazyMargin, placement, refresh, sizes }]
+ */
+export function scanAdSlots( container ){
+    var root = container || document;
+    var elements = root.querySelectorAll( "[data-placement]" );
+    var result = [];
+    for( var i = 0; i < elements.length; i++ ){
+        var element = elements[ i ];
+        var placement = element.getAttribute( "data-placement" );
+        var slot = getAdSlot( placement ) || createDefaultAdSlot( placement );
+        var sizes = element.getAttribute( "data-sizes" );
+        result.push({
+            "category": slot.category,
+            "element": element,
+            "lazyMargin": slot.lazyMargin,
+            "placement": placement,
+            "refresh": slot.refresh,
+            "sizes": sizes ? parseAdSizes( sizes ) : slot.sizes
+        });
+    }
+    return result;
+}
+
+/**
+ * Removes a placement from the registry
+ * @param  {String} placement
+ */
+export function unregisterAdSlot( placement ){
+    delete slots[ placement ];
+}
+
+/**
+ * Creates the config for a placement that isn't registered, without
+ * registering it
+ * @private
+ * @param  {String} placement
+ * @return {Object}
+ */
+function createDefaultAdSlot( placement ){
+    return {
+        "category": null,
+        "lazyMargin": 0,
+        "placement": placement,
+        "refresh": false,
+        "sizes": []
+    };
+}
+
+/**
+ * Parses a list of sizes like "300x250,728x90,fluid"
+ * @private
+ * @param  {String} sizes
+ * @return {Array}
+ */
+function parseAdSizes( sizes ){
+    var parts = sizes.split( "," );
+    var result = [];
+    for( var i = 0; i < parts.length; i++ ){
+        var size = parts[ i ].trim();
+        var match = size.match( /^(\d+)x(\d+)$/i );
+        if( match ){
+            result.push([ parseInt( match[ 1 ], 10 ), parseInt( match[ 2 ], 10 ) ]);
+        } else if( size !== "" ){
+            result.push( size );
+        }
+    }
+    return result;
+}
+
+registerAdSlots({
+    "article-infinite": { "category": "article" },
+    "article-side": { "category": "article" },
+    "nav-above": { "category": "header" },
+    "tag-infinite": { "category": "splash" },
+    "tag-inside": { "category": "splash" }
+});
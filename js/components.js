@@ -0,0 +1,253 @@
+"use strict";
+
+/**
+ * @module components
+ */
+
+import { hasOwnProperty, onPageReady, rethrowAsync } from "./functions";
+import { readOptions } from "./options";
+import { observeVisibility } from "./visibility";
+
+var SELECTOR = "[data-component]";
+
+var definitions = {};
+var records = [];
+var started = null;
+
+/**
+ * Gets what a components mount returned for the element
+ * @param  {HTMLElement} el
+ * @param  {String} name
+ * @return {*} Undefined if it isn't mounted
+ */
+export function getComponent( el, name ){
+    var record = findRecord( el, name );
+    return record && record.mounted ? record.instance : undefined;
+}
+
+/**
+ * Mounts the components on the root and the elements in it, once the page
+ * is ready. Elements name their components in data-component, separated by
+ * spaces. Each component is only mounted once on an element
+ * @param  {HTMLElement} [root=document]
+ */
+export function mountComponents( root ){
+    onPageReady(function mountComponents_ready(){
+        scan( root || document, null );
+    });
+}
+
+/**
+ * Registers a component. If the components have been started, elements
+ * already on the page are mounted straight away.
+ *
+ * mount is called with the element, its options read by readOptions and
+ * the errors from reading them, and what it returns is passed to unmount.
+ * @param  {String} name
+ * @param  {Object} definition
+ * @param  {Function} definition.mount
+ * @param  {Function} [definition.unmount] Called with the element and what
+ *                                         mount returned
+ * @param  {Object} [definition.schema]    The options, see readOptions
+ * @param  {Boolean} [definition.lazy=false] Wait until the element nears the
+ *                                           viewport, data-lazy on the
+ *                                           element does the same
+ * @param  {String} [definition.rootMargin="200px"] How near, for lazy
+ */
+export function registerComponent( name, definition ){
+    definitions[ name ] = definition;
+    if( started ){
+        onPageReady(function registerComponent_ready(){
+            if( started ) scan( started.root, name );
+        });
+    }
+}
+
+/**
+ * Mounts the components now and whenever elements are added, unmounting
+ * them when their elements are removed
+ * @param  {HTMLElement} [root=document]
+ * @return {Function} Stops watching for changes, mounted components stay
+ */
+export function startComponents( root ){
+    var state = {
+        "observer": null,
+        "root": root || document
+    };
+    started = state;
+    onPageReady(function startComponents_ready(){
+        if( started !== state ) return;
+        scan( state.root, null );
+        if( typeof MutationObserver === "undefined" ) return;
+        state.observer = new MutationObserver( onMutations );
+        state.observer.observe( state.root, {
+            "childList": true,
+            "subtree": true
+        });
+    });
+    return function stopComponents(){
+        if( state.observer ) state.observer.disconnect();
+        if( started === state ) started = null;
+    };
+}
+
+/**
+ * Unmounts the components on the root and the elements in it
+ * @param  {HTMLElement} [root=document]
+ */
+export function unmountComponents( root ){
+    var container = root || document;
+    var current = records.slice();
+    for( var i = 0; i < current.length; i++ ){
+        if( container === current[ i ].element || container.contains( current[ i ].element ) ){
+            unmountRecord( current[ i ] );
+        }
+    }
+}
+
+/**
+ * Unmounts every instance of the component and forgets it
+ * @param  {String} name
+ */
+export function unregisterComponent( name ){
+    var current = records.slice();
+    for( var i = 0; i < current.length; i++ ){
+        if( current[ i ].name === name ) unmountRecord( current[ i ] );
+    }
+    delete definitions[ name ];
+}
+
+/**
+ * Finds the record of a component on an element
+ * @private
+ * @param  {HTMLElement} el
+ * @param  {String} name
+ * @return {Object/Undefined}
+ */
+function findRecord( el, name ){
+    for( var i = 0; i < records.length; i++ ){
+        if( records[ i ].element === el && records[ i ].name === name ) return records[ i ];
+    }
+}
+
+/**
+ * Mounts a component on an element, now or when it nears the viewport
+ * @private
+ * @param  {HTMLElement} el
+ * @param  {String} name
+ */
+function mountElement( el, name ){
+    var definition = definitions[ name ];
+    var record = {
+        "element": el,
+        "instance": undefined,
+        "mounted": false,
+        "name": name,
+        "unobserve": null
+    };
+    records.push( record );
+    if( definition.lazy || el.hasAttribute( "data-lazy" ) ){
+        record.unobserve = observeVisibility( el, {
+            "once": true,
+            "rootMargin": definition.rootMargin || "200px"
+        }, function onComponentVisible(){
+            record.unobserve = null;
+            mountRecord( record, definition );
+        });
+    } else {
+        mountRecord( record, definition );
+    }
+}
+
+/**
+ * Calls the components mount. An error it throws is rethrown
+ * asynchronously so the other components still mount
+ * @private
+ * @param  {Object} record
+ * @param  {Object} definition
+ */
+function mountRecord( record, definition ){
+    var read = readOptions( record.element, definition.schema || {} );
+    try {
+        record.instance = definition.mount( record.element, read.options, read.errors );
+        record.mounted = true;
+    } catch( err ){
+        removeRecord( record );
+        rethrowAsync( err );
+    }
+}
+
+/**
+ * Mounts and unmounts the components of the elements that were added and
+ * removed
+ * @private
+ * @param  {Array} mutations
+ */
+function onMutations( mutations ){
+    var root = started ? started.root : document;
+    var removed = false;
+    for( var i = 0; i < mutations.length; i++ ){
+        var added = mutations[ i ].addedNodes;
+        for( var j = 0; j < added.length; j++ ){
+            if( added[ j ].nodeType === 1 && root.contains( added[ j ] ) ) scan( added[ j ], null );
+        }
+        removed = removed || mutations[ i ].removedNodes.length > 0;
+    }
+    if( !removed ) return;
+    var current = records.slice();
+    for( var k = 0; k < current.length; k++ ){
+        if( !root.contains( current[ k ].element ) ) unmountRecord( current[ k ] );
+    }
+}
+
+/**
+ * Forgets a record
+ * @private
+ * @param  {Object} record
+ */
+function removeRecord( record ){
+    var index = records.indexOf( record );
+    if( index !== -1 ) records.splice( index, 1 );
+}
+
+/**
+ * Mounts the components on the node and the elements in it
+ * @private
+ * @param  {HTMLElement/Document} node
+ * @param  {String/Null} only Only mount this component
+ */
+function scan( node, only ){
+    var elements = Array.prototype.slice.call( node.querySelectorAll( SELECTOR ) );
+    if( node.nodeType === 1 && node.matches( SELECTOR ) ) elements.unshift( node );
+    for( var i = 0; i < elements.length; i++ ){
+        var names = elements[ i ].getAttribute( "data-component" ).split( /\s+/ );
+        for( var j = 0; j < names.length; j++ ){
+            if( names[ j ] && hasOwnProperty( definitions, names[ j ] ) &&
+                ( !only || only === names[ j ] ) &&
+                !findRecord( elements[ i ], names[ j ] ) ){
+                mountElement( elements[ i ], names[ j ] );
+            }
+        }
+    }
+}
+
+/**
+ * Unmounts a component, or stops waiting to mount a lazy one
+ * @private
+ * @param  {Object} record
+ */
+function unmountRecord( record ){
+    removeRecord( record );
+    if( record.unobserve ) record.unobserve();
+    record.unobserve = null;
+    if( !record.mounted ) return;
+    record.mounted = false;
+    var definition = definitions[ record.name ];
+    if( definition && definition.unmount ){
+        try {
+            definition.unmount( record.element, record.instance );
+        } catch( err ){
+            rethrowAsync( err );
+        }
+    }
+}
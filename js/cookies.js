@@ -0,0 +1,192 @@
+"use strict";
+
+/**
+ * @module cookies
+ */
+
+import { getNamespaceKey, hasOwnProperty, isDefined } from "./functions";
+
+var consentChecks = {};
+var blocked = {};
+
+/**
+ * Writes any cookies that were blocked and now have consent. Call it when
+ * the consent changes
+ * @return {Number} How many were written
+ */
+export function flushBlockedCookies(){
+    var written = 0;
+    for( var key in blocked ){
+        if( hasOwnProperty( blocked, key ) &&
+            hasConsent( blocked[ key ].options.category ) ){
+            var write = blocked[ key ];
+            delete blocked[ key ];
+            writeCookie( key, write.value, write.options );
+            written++;
+        }
+    }
+    return written;
+}
+
+/**
+ * Gets every cookie as an object
+ * @return {Object}
+ */
+export function getAllCookies(){
+    var cookies = {};
+    var parts = document.cookie ? document.cookie.split( "; " ) : [];
+    for( var i = 0; i < parts.length; i++ ){
+        var index = parts[ i ].indexOf( "=" );
+        var name = decodeCookiePart( index === -1 ? parts[ i ] : parts[ i ].slice( 0, index ) );
+        if( !hasOwnProperty( cookies, name ) ){
+            cookies[ name ] = index === -1 ? "" : decodeCookiePart( parts[ i ].slice( index + 1 ) );
+        }
+    }
+    return cookies;
+}
+
+/**
+ * Gets a cookie
+ * @param  {String} name
+ * @param  {Object} [options]
+ * @param  {String} [options.namespace] Brand abbreviation to namespace the name
+ * @return {String/Null}
+ */
+export function getCookie( name, options ){
+    var cookies = getAllCookies();
+    var key = getCookieKey( name, options );
+    return hasOwnProperty( cookies, key ) ? cookies[ key ] : null;
+}
+
+/**
+ * Registers the check for a consent category. Cookies set with the category
+ * are only written once it returns true
+ * @param  {String}   category e.g. "analytics", "advertising"
+ * @param  {Function} check    Returns true if there is consent
+ */
+export function registerConsentCheck( category, check ){
+    consentChecks[ category ] = check;
+}
+
+/**
+ * Removes a cookie. The path and domain have to match the ones it was set with
+ * @param  {String} name
+ * @param  {Object} [options]
+ * @param  {String} [options.path="/"]
+ * @param  {String} [options.domain]
+ * @param  {String} [options.namespace]
+ */
+export function removeCookie( name, options ){
+    var opts = options || {};
+    var key = getCookieKey( name, opts );
+    delete blocked[ key ];
+    writeCookie( key, "", {
+        "domain": opts.domain,
+        "expires": new Date( 0 ),
+        "path": opts.path
+    });
+}
+
+/**
+ * Sets a cookie. Cookies with a consent category are held back until the
+ * check registered for the category passes, see flushBlockedCookies
+ * @param  {String} name
+ * @param  {String} value
+ * @param  {Object} [options]
+ * @param  {Date/Number} [options.expires] A date or a number of days
+ * @param  {Number} [options.maxAge]   Seconds, takes priority over expires
+ * @param  {String} [options.path="/"]
+ * @param  {String} [options.domain]
+ * @param  {Boolean} [options.secure=false] Always set when sameSite is "None"
+ * @param  {String} [options.sameSite] "Strict", "Lax" or "None"
+ * @param  {String} [options.category] The consent category
+ * @param  {String} [options.namespace] Brand abbreviation to namespace the name
+ * @return {Boolean} Was it written?
+ */
+export function setCookie( name, value, options ){
+    var opts = options || {};
+    var key = getCookieKey( name, opts );
+    if( opts.category && !hasConsent( opts.category ) ){
+        blocked[ key ] = {
+            "options": opts,
+            "value": value
+        };
+        return false;
+    }
+    delete blocked[ key ];
+    writeCookie( key, value, opts );
+    return true;
+}
+
+/**
+ * Decodes a cookie name or value, leaving it alone if it isn't encoded
+ * properly
+ * @private
+ * @param  {String} value
+ * @return {String}
+ */
+function decodeCookiePart( value ){
+    try {
+        return decodeURIComponent( value );
+    } catch( e ){
+        return value;
+    }
+}
+
+/**
+ * Gets the cookie name, namespaced if asked to
+ * @private
+ * @param  {String} name
+ * @param  {Object} options
+ * @return {String}
+ */
+function getCookieKey( name, options ){
+    if( options && options.namespace ){
+        return getNamespaceKey( options.namespace ) + "_" + name;
+    }
+    return name;
+}
+
+/**
+ * Runs the check registered for the category. Categories without a check
+ * don't have consent
+ * @private
+ * @param  {String}  category
+ * @return {Boolean}
+ */
+function hasConsent( category ){
+    if( !hasOwnProperty( consentChecks, category ) ) return false;
+    try {
+        return !!consentChecks[ category ]( category );
+    } catch( e ){
+        return false;
+    }
+}
+
+/**
+ * Writes the cookie string
+ * @private
+ * @param  {String} key
+ * @param  {String} value
+ * @param  {Object} options
+ */
+function writeCookie( key, value, options ){
+    var name = encodeURIComponent( key ).replace( /[()]/g, function( chr ){
+        return "%" + chr.charCodeAt( 0 ).toString( 16 ).toUpperCase();
+    });
+    var cookie = name + "=" +
+        encodeURIComponent( isDefined( value ) ? String( value ) : "" );
+    var expires = options.expires;
+    if( typeof expires === "number" ){
+        expires = new Date( Date.now() + expires * 864e5 );
+    }
+    if( isDefined( options.maxAge ) ) cookie += "; max-age=" + options.maxAge;
+    if( expires instanceof Date ) cookie += "; expires=" + expires.toUTCString();
+    cookie += "; path=" + ( options.path || "/" );
+    if( options.domain ) cookie += "; domain=" + options.domain;
+    if( options.sameSite ) cookie += "; samesite=" + options.sameSite;
+    if( options.secure || /^none$/i.test( options.sameSite || "" ) ){
+        cookie += "; secure";
+    }
+    document.cookie = cookie;
+}
@@ -0,0 +1,239 @@
+"use strict";
+
+/**
+ * @module date
+ */
+
+import { isDefined, padValue } from "./functions";
+
+var DAYS = [ "Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday",
+    "Saturday" ];
+var MONTHS = [ "January", "February", "March", "April", "May", "June", "July",
+    "August", "September", "October", "November", "December" ];
+
+var FORMAT_TOKENS = /\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|m|ss|s|A|a/g;
+
+// [ unit, seconds, how many round up to the unit above ]
+var RELATIVE_UNITS = [
+    [ "year", 31536000, null ],
+    [ "month", 2592000, 12 ],
+    [ "week", 604800, null ],
+    [ "day", 86400, 7 ],
+    [ "hour", 3600, 24 ],
+    [ "minute", 60, 60 ],
+    [ "second", 1, 60 ]
+];
+
+var TIMESTAMP_SELECTOR = "time[datetime]";
+
+var TIMESTAMP_INTERVAL = 60000;
+
+var timestampContainers = [];
+var timestampInterval = null;
+
+/**
+ * Formats a date with a pattern. Text in square brackets is left as it is.
+ *
+ * | Token | Output |
+ * | --- | --- |
+ * | YYYY, YY | 2024, 24 |
+ * | MMMM, MMM, MM, M | January, Jan, 01, 1 |
+ * | DD, D | 05, 5 |
+ * | dddd, ddd | Friday, Fri |
+ * | HH, H, hh, h | 24 and 12 hour, padded and not |
+ * | mm, m, ss, s | Minutes and seconds, padded and not |
+ * | A, a | AM, am |
+ *
+ * Month and day names use Intl in the locale when it is available, English
+ * otherwise
+ * @param  {Date/Number/String} date
+ * @param  {String} [pattern="YYYY-MM-DD"]
+ * @param  {String} [locale] Defaults to the browsers locale
+ * @return {String} Empty if the date isn't valid
+ */
+export function formatDate( date, pattern, locale ){
+    var d = toDate( date );
+    if( !d ) return "";
+    return ( pattern || "YYYY-MM-DD" ).replace( FORMAT_TOKENS, function formatDate_token( token, text ){
+        if( text !== undefined ) return text;
+        var hours12 = d.getHours() % 12 || 12;
+        switch( token ){
+            case "YYYY": return padValue( d.getFullYear(), 4 );
+            case "YY": return padValue( d.getFullYear() % 100, 2 );
+            case "MMMM": return getName( d, "month", "long", locale );
+            case "MMM": return getName( d, "month", "short", locale );
+            case "MM": return padValue( d.getMonth() + 1, 2 );
+            case "M": return String( d.getMonth() + 1 );
+            case "DD": return padValue( d.getDate(), 2 );
+            case "D": return String( d.getDate() );
+            case "dddd": return getName( d, "weekday", "long", locale );
+            case "ddd": return getName( d, "weekday", "short", locale );
+            case "HH": return padValue( d.getHours(), 2 );
+            case "H": return String( d.getHours() );
+            case "hh": return padValue( hours12, 2 );
+            case "h": return String( hours12 );
+            case "mm": return padValue( d.getMinutes(), 2 );
+            case "m": return String( d.getMinutes() );
+            case "ss": return padValue( d.getSeconds(), 2 );
+            case "s": return String( d.getSeconds() );
+            case "A": return d.getHours() < 12 ? "AM" : "PM";
+            default: return d.getHours() < 12 ? "am" : "pm";
+        }
+    });
+}
+
+/**
+ * Keeps the `<time datetime>` elements in the container
+ * showing how long ago they were, e.g. "3 hours ago". Every container shares
+ * one interval that updates them each minute, so elements added later are
+ * picked up too
+ * @param  {HTMLElement} container
+ * @param  {Object} [options]
+ * @param  {String} [options.locale]
+ * @param  {String} [options.selector="time[datetime]"] The elements to
+ *   update, they need a datetime attribute
+ * @return {Function} Stops updating the container
+ */
+export function liveTimestamps( container, options ){
+    var opts = options || {};
+    var entry = {
+        "container": container,
+        "locale": opts.locale,
+        "selector": opts.selector || TIMESTAMP_SELECTOR
+    };
+    timestampContainers.push( entry );
+    updateTimestamps( entry );
+    if( timestampInterval === null ){
+        timestampInterval = setInterval( updateAllTimestamps, TIMESTAMP_INTERVAL );
+    }
+    return function stopLiveTimestamps(){
+        var index = timestampContainers.indexOf( entry );
+        if( index !== -1 ) timestampContainers.splice( index, 1 );
+        if( timestampContainers.length === 0 && timestampInterval !== null ){
+            clearInterval( timestampInterval );
+            timestampInterval = null;
+        }
+    };
+}
+
+/**
+ * Describes how long ago, or how far off, a date is, e.g. "3 hours ago",
+ * "yesterday" or "in 2 weeks". Uses Intl.RelativeTimeFormat in the locale
+ * when it is available, English otherwise
+ * @param  {Date/Number/String} date
+ * @param  {Object} [options]
+ * @param  {Date/Number} [options.now=Date.now()] The current time is used if
+ *                                               it isn't a valid date
+ * @param  {String} [options.locale]
+ * @return {String} Empty if the date isn't valid
+ */
+export function timeAgo( date, options ){
+    var opts = options || {};
+    var d = toDate( date );
+    if( !d ) return "";
+    var now = ( isDefined( opts.now ) && toDate( opts.now ) ) || new Date();
+    var seconds = ( d.getTime() - now.getTime() ) / 1000;
+    // Rounded without the sign so the past rounds the same way as the future
+    var sign = seconds < 0 ? -1 : 1;
+    var elapsed = Math.abs( seconds );
+    var unit = "second";
+    var value = 0;
+    if( elapsed >= 45 ){
+        for( var i = 0; i < RELATIVE_UNITS.length; i++ ){
+            if( elapsed >= RELATIVE_UNITS[ i ][ 1 ] ){
+                unit = RELATIVE_UNITS[ i ][ 0 ];
+                value = Math.round( elapsed / RELATIVE_UNITS[ i ][ 1 ] );
+                // 23.6 hours is a day, not 24 hours
+                if( RELATIVE_UNITS[ i ][ 2 ] && value >= RELATIVE_UNITS[ i ][ 2 ] ){
+                    unit = RELATIVE_UNITS[ i - 1 ][ 0 ];
+                    value = Math.round( elapsed / RELATIVE_UNITS[ i - 1 ][ 1 ] );
+                }
+                value *= sign;
+                break;
+            }
+        }
+    }
+    if( typeof Intl !== "undefined" && Intl.RelativeTimeFormat ){
+        try {
+            return new Intl.RelativeTimeFormat( opts.locale, {
+                "numeric": "auto"
+            }).format( value, unit );
+        } catch( e ){}
+    }
+    return formatRelative( value, unit );
+}
+
+/**
+ * Formats a relative time in English
+ * @private
+ * @param  {Number} value Negative is in the past
+ * @param  {String} unit
+ * @return {String}
+ */
+function formatRelative( value, unit ){
+    if( value === 0 ) return "just now";
+    if( unit === "day" && Math.abs( value ) === 1 ){
+        return value < 0 ? "yesterday" : "tomorrow";
+    }
+    var amount = Math.abs( value ) + " " + unit + ( Math.abs( value ) === 1 ? "" : "s" );
+    return value < 0 ? amount + " ago" : "in " + amount;
+}
+
+/**
+ * Gets the name of the month or day, in the locale where Intl is available
+ * @private
+ * @param  {Date} date
+ * @param  {String} part  "month" or "weekday"
+ * @param  {String} width "long" or "short"
+ * @param  {String} locale
+ * @return {String}
+ */
+function getName( date, part, width, locale ){
+    if( typeof Intl !== "undefined" && Intl.DateTimeFormat ){
+        try {
+            var options = {};
+            options[ part ] = width;
+            return new Intl.DateTimeFormat( locale, options ).format( date );
+        } catch( e ){}
+    }
+    var name = part === "month" ? MONTHS[ date.getMonth() ] : DAYS[ date.getDay() ];
+    return width === "short" ? name.slice( 0, 3 ) : name;
+}
+
+/**
+ * Turns a date, timestamp or date string into a Date
+ * @private
+ * @param  {Date/Number/String} value
+ * @return {Date/Null} Null if it isn't a valid date
+ */
+function toDate( value ){
+    var date = value instanceof Date ? value : new Date( value );
+    return isNaN( date.getTime() ) ? null : date;
+}
+
+/**
+ * Updates every container being kept live
+ * @private
+ */
+function updateAllTimestamps(){
+    for( var i = 0; i < timestampContainers.length; i++ ){
+        updateTimestamps( timestampContainers[ i ] );
+    }
+}
+
+/**
+ * Updates the time elements in a container
+ * @private
+ * @param  {Object} entry { container, locale, selector }
+ */
+function updateTimestamps( entry ){
+    var now = new Date();
+    var elements = entry.container.querySelectorAll( entry.selector );
+    for( var i = 0; i < elements.length; i++ ){
+        var text = timeAgo( elements[ i ].getAttribute( "datetime" ), {
+            "locale": entry.locale,
+            "now": now
+        });
+        if( text && elements[ i ].textContent !== text ) elements[ i ].textContent = text;
+    }
+}
@@ -0,0 +1,102 @@
+"use strict";
+
+/**
+ * @module delegate
+ */
+
+import { parseEventType } from "./events";
+import { addEvent, getEventTarget, removeEvent } from "./functions";
+
+var handlers = [];
+
+/**
+ * Removes delegated handlers added with `on`. Pass a type, a namespace
+ * (".article") or both ("click.article") to narrow it down, or nothing to
+ * remove every handler on the root. Pass null as the root to remove matching
+ * handlers from every root
+ * @param  {HTMLElement/Document/Null} root
+ * @param  {String} [type]
+ */
+export function off( root, type ){
+    var parsed = parseEventType( type || "" );
+    for( var i = handlers.length - 1; i >= 0; i-- ){
+        var handler = handlers[ i ];
+        if( ( !root || handler.root === root ) &&
+            ( !parsed.type || handler.type === parsed.type ) &&
+            ( !parsed.namespace || handler.namespace === parsed.namespace ) ){
+            removeHandler( handler );
+        }
+    }
+}
+
+/**
+ * Delegates an event on root to the elements matching the selector. Matching
+ * stops at the root, so elements outside of it are never matched. The
+ * matched element is `this` in the handler and `e.delegateTarget`.
+ * @param  {HTMLElement/Document} root
+ * @param  {String}   type     The event type, optionally namespaced
+ *                             ("click.article")
+ * @param  {String/Array} selector A selector, a comma separated list or an
+ *                                 array of them
+ * @param  {Function} fn
+ * @param  {*}        ctx      What `this` is in the handler
+ * @return {Function}          Removes the handler
+ */
+export function on( root, type, selector, fn, ctx ){
+    var parsed = parseEventType( type );
+    var joinedSelector = typeof selector === "string" ?
+        selector :
+        selector.join( ", " );
+
+    var handler = {
+        "fn": null,
+        "namespace": parsed.namespace,
+        "root": root,
+        "type": parsed.type
+    };
+
+    handler.fn = function delegateHandler( e ){
+        var target = findDelegateTarget( root, getEventTarget( e ),
+            joinedSelector );
+        if( !target ) return;
+        e.delegateTarget = target;
+        fn.apply( ctx || target, arguments );
+    };
+
+    handlers.push( handler );
+    addEvent( root, handler.type, handler.fn );
+
+    return function off_delegate(){
+        removeHandler( handler );
+    };
+}
+
+/**
+ * Finds the closest element to the target matching the selector, stopping
+ * before the root
+ * @private
+ * @param  {HTMLElement/Document} root
+ * @param  {Node} target
+ * @param  {String} selector
+ * @return {HTMLElement/Null}
+ */
+function findDelegateTarget( root, target, selector ){
+    var node = target;
+    while( node && node !== root ){
+        if( node.nodeType === 1 && node.matches( selector ) ) return node;
+        node = node.parentNode;
+    }
+    return null;
+}
+
+/**
+ * Removes the listener and forgets the handler
+ * @private
+ * @param  {Object} handler
+ */
+function removeHandler( handler ){
+    var index = handlers.indexOf( handler );
+    if( index === -1 ) return;
+    handlers.splice( index, 1 );
+    removeEvent( handler.root, handler.type, handler.fn );
+}
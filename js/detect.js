@@ -1,110 +1,549 @@
 "use strict";
-/* globals DocumentTouch */
 
 /**
+ * The detect* functions run the first time they are called and remember the
+ * result. Outside a browser, or before the body exists, they return a safe
+ * default instead of throwing, and try again next time.
+ *
+ * The values, isIOS, hasTouch and so on, are worked out by them when the
+ * module loads, and again by setEnvironment and resetEnvironment. The ones
+ * that need the DOM, supportBoxModel and supportsHTML5Video, are left at their
+ * defaults until detectBoxModel or detectHTML5Video has run.
  * @module detect
  */
 
-var userAgent = navigator.userAgent;
-var platform = navigator.platform;
+var environment = {};
+var results = {};
+
+var BOT_PATTERN = /bot\b|bot\/|crawl|spider|slurp|facebookexternalhit|embedly|bingpreview|mediapartners|lighthouse|headlesschrome|pingdom|google-inspectiontool/i;
+
+var BROWSER_RULES = [
+    [ "Edge", /\bEdg(?:e|A|iOS)?\/([\d.]+)/ ],
+    [ "Samsung Internet", /\bSamsungBrowser\/([\d.]+)/ ],
+    [ "Opera", /\b(?:OPR|OPT|Opera)\/([\d.]+)/ ],
+    [ "Yandex", /\bYaBrowser\/([\d.]+)/ ],
+    [ "Firefox", /\b(?:Firefox|FxiOS)\/([\d.]+)/ ],
+    [ "IE", /\bMSIE ([\d.]+)/ ],
+    [ "IE", /\bTrident\/.*\brv:([\d.]+)/ ],
+    [ "Chrome", /\b(?:Chrome|CriOS)\/([\d.]+)/ ],
+    [ "Safari", /\bVersion\/([\d.]+).*Safari\// ],
+    [ "Safari", /\bAppleWebKit\// ]
+];
+
+var OS_RULES = [
+    [ "Windows Phone", /\bWindows Phone(?: OS)? ([\d.]+)/ ],
+    [ "Windows", /\bWindows NT ([\d.]+)/ ],
+    [ "Android", /\bAndroid ?([\d.]*)/ ],
+    [ "iOS", /\b(?:iPhone|iPad|iPod).*? OS ([\d_]+)/ ],
+    [ "macOS", /\bMac OS X ?([\d_.]*)/ ],
+    [ "Chrome OS", /\bCrOS [\w]+ ([\d.]+)/ ],
+    [ "Linux", /\bLinux()/ ]
+];
+
+var WEBVIEW_RULES = [
+    [ "Facebook", /\bFB(?:AN|AV|_IAB)\b/ ],
+    [ "Instagram", /\bInstagram\b/ ],
+    [ "Twitter", /\bTwitter(?:Android| for)/ ],
+    [ "LinkedIn", /\bLinkedInApp\b/ ],
+    [ "Snapchat", /\bSnapchat\b/ ],
+    [ "Pinterest", /\bPinterest\b/ ],
+    [ "Line", /\bLine\/[\d.]+/ ]
+];
+
+var WINDOWS_VERSIONS = {
+    "5.1": "XP",
+    "6.0": "Vista",
+    "6.1": "7",
+    "6.2": "8",
+    "6.3": "8.1",
+    "10.0": "10"
+};
 
 
 /**
- * Creates an object with user agent information
- * @url http://stackoverflow.com/questions/5916900/how-can-you-detect-the-version-of-a-browser
+ * Parses the browsers user agent, see parseUserAgent. The other sniffs use it
+ * @function
  * @return {Object}
  */
-export var getUserAgent = (function getUserAgent() {
-    var ua = userAgent,
-        tem, M = ua.match(/(opera|chrome|safari|firefox|msie|trident(?=\/))\/?\s*(\d+)/i) || [];
-    if (/trident/i.test(M[1])) {
-        tem = /\brv[ :]+(\d+)/g.exec(ua) || [];
-        return {
-            name: 'IE',
-            version: parseFloat(tem[1] || '')
-        };
-    }
-    if (M[1] === 'Chrome') {
-        tem = ua.match(/\bOPR\/(\d+)/);
-        if (tem !== null) {
-            return {
-                name: 'Opera',
-                version: parseFloat( tem[1] )
-            };
-        }
-    }
-    M = M[2] ? [M[1], M[2]] : [navigator.appName, navigator.appVersion, '-?'];
-    if ((tem = ua.match(/version\/(\d+)/i)) !== null) {
-        M.splice(1, 1, tem[1]);
-    }
-    return {
-        name: M[0],
-        version: parseFloat( M[1] )
-    };
-})();
+export var detectUserAgent = detection("detectUserAgent", function detectUserAgent( win, doc, nav ){
+    if( !nav ) return;
+    return parseUserAgent( nav.userAgent || "", {
+        "maxTouchPoints": nav.maxTouchPoints,
+        "userAgentData": nav.userAgentData
+    });
+}, parseUserAgent( "" ));
+
+/**
+ * Android useragent sniff
+ * @function
+ * @return {Boolean}
+ */
+export var detectAndroid = detection("detectAndroid", function detectAndroid( win, doc, nav ){
+    if( !nav ) return;
+    return detectUserAgent().os.name === "Android";
+}, false);
+
+/**
+ * Box model support
+ * @function
+ * @return {Boolean}
+ */
+export var detectBoxModel = detection("detectBoxModel", function detectBoxModel( win, doc ){
+    var body = doc && doc.getElementsByTagName("body")[0];
+    if( !body ) return;
+    var div = doc.createElement("div");
+    div.style.width = div.style.paddingLeft = "1px";
+    body.appendChild( div );
+    var support = div.offsetWidth === 2;
+    body.removeChild( div );
+    div = null;
+    return support;
+}, true, setBoxModel);
 
 /**
  * window.history support
- * @type {Boolean}
+ * @function
+ * @return {Boolean}
+ */
+export var detectHistory = detection("detectHistory", function detectHistory( win ){
+    if( !win ) return;
+    return !!( "history" in win && typeof win.history.replaceState === "function" );
+}, false);
+
+/**
+ * HTML5 video support
+ * @function
+ * @return {Boolean}
+ */
+export var detectHTML5Video = detection("detectHTML5Video", function detectHTML5Video( win, doc ){
+    if( !doc ) return;
+    var video = doc.createElement("video");
+    return !!( video && video.play );
+}, false, setHTML5Video);
+
+/**
+ * iOS useragent sniff. Includes iPads that report themselves as a Mac
+ * @function
+ * @return {Boolean}
+ */
+export var detectIOS = detection("detectIOS", function detectIOS( win, doc, nav ){
+    if( !nav ) return;
+    return detectUserAgent().os.name === "iOS";
+}, false);
+
+/**
+ * Linux useragent sniff. Desktop Linux including Chrome OS, not Android
+ * @function
+ * @return {Boolean}
+ */
+export var detectLinux = detection("detectLinux", function detectLinux( win, doc, nav ){
+    if( !nav ) return;
+    var os = detectUserAgent().os.name;
+    return os === "Linux" || os === "Chrome OS";
+}, false);
+
+/**
+ * Macintoch useragent sniff
+ * @function
+ * @return {Boolean}
  */
-export var hasHistory = !!( "history" in window && typeof window.history.replaceState === "function" );
+export var detectMac = detection("detectMac", function detectMac( win, doc, nav ){
+    if( !nav ) return;
+    return detectUserAgent().os.name === "macOS";
+}, false);
+
+/**
+ * Mobile phone useragent sniff
+ * @function
+ * @return {Boolean}
+ */
+export var detectMobile = detection("detectMobile", function detectMobile( win, doc, nav ){
+    if( !nav ) return;
+    return detectUserAgent().device === "mobile";
+}, false);
+
+/**
+ * Tablet useragent sniff
+ * @function
+ * @return {Boolean}
+ */
+export var detectTablet = detection("detectTablet", function detectTablet( win, doc, nav ){
+    if( !nav ) return;
+    return detectUserAgent().device === "tablet";
+}, false);
 
 /**
  * Touch support
+ * @function
+ * @return {Boolean}
+ */
+export var detectTouch = detection("detectTouch", function detectTouch( win, doc ){
+    if( !win ) return;
+    return !!("ontouchstart" in win || win.DocumentTouch && doc instanceof win.DocumentTouch);
+}, false);
+
+/**
+ * Windows useragent sniff
+ * @function
+ * @return {Boolean}
+ */
+export var detectWindows = detection("detectWindows", function detectWindows( win, doc, nav ){
+    if( !nav ) return;
+    return detectUserAgent().os.name === "Windows";
+}, false);
+
+/**
+ * The browsers user agent, see detectUserAgent
+ * @type {Object}
+ */
+export var getUserAgent = detectUserAgent();
+
+/**
+ * window.history support, see detectHistory
  * @type {Boolean}
  */
-export var hasTouch = !!("ontouchstart" in window || window.DocumentTouch && document instanceof DocumentTouch);
+export var hasHistory = detectHistory();
 
 /**
- * Android useragent sniff
+ * Touch support, see detectTouch
  * @type {Boolean}
  */
-export var isAndroid = /Android/i.test( userAgent );
+export var hasTouch = detectTouch();
 
 /**
- * iOS useragent sniff
+ * Android useragent sniff, see detectAndroid
  * @type {Boolean}
  */
-export var isIOS = /(iPad|iPhone|iPod touch)/i.test( userAgent );
+export var isAndroid = detectAndroid();
 
 /**
- * Linux useragent sniff
+ * iOS useragent sniff, see detectIOS
  * @type {Boolean}
  */
-export var isLinux = /Linux/i.test( platform );
+export var isIOS = detectIOS();
 
 /**
- * Macintoch useragent sniff
+ * Linux useragent sniff, see detectLinux
  * @type {Boolean}
  */
-export var isMac = /Mac/i.test( platform );
+export var isLinux = detectLinux();
 
 /**
- * Windows useragent sniff
+ * Macintoch useragent sniff, see detectMac
  * @type {Boolean}
  */
-export var isWindows = /Win/i.test( platform );
+export var isMac = detectMac();
 
 /**
- * Box model support
- * @return {Boolean}
+ * Mobile phone useragent sniff, see detectMobile
+ * @type {Boolean}
  */
-export var supportBoxModel = (function supportBoxModel(){
-    var div = document.createElement("div");
-    var body = document.getElementsByTagName("body")[0];
-    div.style.width = div.style.paddingLeft = "1px";
-    body.appendChild( div );
-    var support = div.offsetWidth === 2;
-    body.removeChild( div );
-    div = null;
-    return support;
-})();
+export var isMobile = detectMobile();
 
 /**
- * HTML5 video support
- * @return {Boolean}
+ * Tablet useragent sniff, see detectTablet
+ * @type {Boolean}
+ */
+export var isTablet = detectTablet();
+
+/**
+ * Windows useragent sniff, see detectWindows
+ * @type {Boolean}
+ */
+export var isWindows = detectWindows();
+
+/**
+ * Parses a user agent string. Pass the userAgentData from the navigator to
+ * prefer its browser brand and mobile flag, and maxTouchPoints to spot iPads
+ * that report themselves as a Mac, their iOS version is taken from Safaris.
+ * @param  {String} uaString
+ * @param  {Object} [hints]    { maxTouchPoints, userAgentData }
+ * @return {Object} { browser: { major, name, version }, device, engine:
+ *                  { name, version }, isBot, isWebview, name, os: { name,
+ *                  version }, version, webview }. device is "mobile",
+ *                  "tablet" or "desktop". name and version are the browsers,
+ *                  version being the major version
+ */
+export function parseUserAgent( uaString, hints ){
+    var ua = uaString || "";
+    var extra = hints || {};
+    var browser = matchRule( ua, BROWSER_RULES );
+    var os = matchRule( ua, OS_RULES );
+    var webview = matchRule( ua, WEBVIEW_RULES );
+    var device = "desktop";
+
+    if( os.name === "macOS" && extra.maxTouchPoints > 1 ){
+        // Safaris version follows iPadOS, the Mac OS version in the ua doesn't
+        var safari = ua.match( /\bVersion\/([\d.]+)/ );
+        os = {
+            "name": "iOS",
+            "version": safari ? safari[ 1 ] : ""
+        };
+        device = "tablet";
+    } else if( ( /iPad|Tablet|Kindle|Silk|PlayBook/i.test( ua ) &&
+        !/Windows NT|Tablet PC/i.test( ua ) ) ||
+        ( os.name === "Android" && !/Mobile/i.test( ua ) ) ){
+        device = "tablet";
+    } else if( /Mobi|iPhone|iPod|Android|Windows Phone|BlackBerry/i.test( ua ) ){
+        device = "mobile";
+    }
+
+    if( os.name === "Windows" ) os.version = WINDOWS_VERSIONS[ os.version ] || os.version;
+
+    // iOS webviews don't say they're Safari
+    if( !webview.name && os.name === "iOS" && browser.name === "Safari" &&
+        !/Safari\//.test( ua ) ){
+        webview.name = "WebView";
+    }
+    // Android webviews are marked with "; wv)"
+    if( !webview.name && os.name === "Android" && /; wv\)/.test( ua ) ){
+        webview.name = "WebView";
+    }
+
+    var brand = getUserAgentDataBrand( extra.userAgentData );
+    if( brand ){
+        if( brand.name !== browser.name ||
+            parseInt( browser.version, 10 ) !== parseInt( brand.version, 10 ) ){
+            browser.version = brand.version;
+        }
+        browser.name = brand.name;
+    }
+    if( extra.userAgentData && extra.userAgentData.mobile ) device = "mobile";
+
+    var major = parseInt( browser.version, 10 );
+
+    return {
+        "browser": {
+            "major": major,
+            "name": browser.name,
+            "version": browser.version
+        },
+        "device": device,
+        "engine": getEngine( ua, browser.name, os.name ),
+        "isBot": BOT_PATTERN.test( ua ),
+        "isWebview": !!webview.name,
+        "name": browser.name,
+        "os": os,
+        "version": major,
+        "webview": webview.name || null
+    };
+}
+
+/**
+ * Clears any environment set with setEnvironment and every remembered
+ * result, and works out the values again
+ */
+export function resetEnvironment(){
+    environment = {};
+    results = {};
+    updateValues();
+}
+
+/**
+ * Replaces the window, document or navigator the detections run against, so
+ * tests can fake an environment. Clears every remembered result and works
+ * out the values again.
+ * @param {Object} env { document, navigator, window }. Anything left out uses
+ *                     the real one
+ */
+export function setEnvironment( env ){
+    environment = env || {};
+    results = {};
+    updateValues();
+}
+
+/**
+ * Box model support, see detectBoxModel. true until detectBoxModel has run
+ * @type {Boolean}
+ */
+export var supportBoxModel = true;
+
+/**
+ * HTML5 video support, see detectHTML5Video. false until detectHTML5Video has
+ * run
+ * @type {Boolean}
+ */
+export var supportsHTML5Video = false;
+
+/**
+ * Creates a detection that runs once and remembers the result. If the test
+ * returns undefined the environment isn't ready, the fallback is returned and
+ * it is tried again next time
+ * @private
+ * @param  {String}   name
+ * @param  {Function} test     Called with the window, document and navigator
+ * @param  {*}        fallback
+ * @param  {Function} [update] Called with the result once it is remembered
+ * @return {Function}
+ */
+function detection( name, test, fallback, update ){
+    return function detect(){
+        if( Object.prototype.hasOwnProperty.call( results, name ) ){
+            return results[ name ];
+        }
+        var result = test( getEnvironment( "window" ),
+            getEnvironment( "document" ), getEnvironment( "navigator" ) );
+        if( result === undefined ) return fallback;
+        results[ name ] = result;
+        if( update ) update( result );
+        return result;
+    };
+}
+
+/**
+ * Gets the window, document or navigator, or undefined if it doesn't exist
+ * @private
+ * @param  {String} name
+ * @return {Object}
+ */
+function getEnvironment( name ){
+    if( Object.prototype.hasOwnProperty.call( environment, name ) ){
+        return environment[ name ];
+    }
+    if( name === "window" ) return typeof window === "undefined" ? undefined : window;
+    if( name === "document" ) return typeof document === "undefined" ? undefined : document;
+    return typeof navigator === "undefined" ? undefined : navigator;
+}
+
+/**
+ * Works out the rendering engine. Every browser on iOS uses WebKit
+ * @private
+ * @param  {String} ua
+ * @param  {String} browser
+ * @param  {String} os
+ * @return {Object} { name, version }
+ */
+function getEngine( ua, browser, os ){
+    var match = null;
+    if( os === "iOS" ){
+        match = ua.match( /AppleWebKit\/([\d.]+)/ );
+        return {
+            "name": "WebKit",
+            "version": match ? match[ 1 ] : ""
+        };
+    }
+    if( ( match = ua.match( /\bTrident\/([\d.]+)/ ) ) ){
+        return {
+            "name": "Trident",
+            "version": match[ 1 ]
+        };
+    }
+    if( ( match = ua.match( /\bEdge\/([\d.]+)/ ) ) ){
+        return {
+            "name": "EdgeHTML",
+            "version": match[ 1 ]
+        };
+    }
+    if( ( match = ua.match( /\b(?:Chrome|Chromium)\/([\d.]+)/ ) ) ){
+        return {
+            "name": "Blink",
+            "version": match[ 1 ]
+        };
+    }
+    if( browser === "Firefox" && ( match = ua.match( /\brv:([\d.]+)/ ) ) ){
+        return {
+            "name": "Gecko",
+            "version": match[ 1 ]
+        };
+    }
+    if( ( match = ua.match( /AppleWebKit\/([\d.]+)/ ) ) ){
+        return {
+            "name": "WebKit",
+            "version": match[ 1 ]
+        };
+    }
+    return {
+        "name": "",
+        "version": ""
+    };
+}
+
+/**
+ * Gets the browser from navigator.userAgentData brands, ignoring the
+ * generic Chromium brand and the made up "Not A Brand" ones
+ * @private
+ * @param  {Object} userAgentData
+ * @return {Object/Null} { name, version }
+ */
+function getUserAgentDataBrand( userAgentData ){
+    if( !userAgentData || !userAgentData.brands ) return null;
+    var names = {
+        "Google Chrome": "Chrome",
+        "Microsoft Edge": "Edge",
+        "Opera": "Opera",
+        "Samsung Internet": "Samsung Internet",
+        "Yandex": "Yandex"
+    };
+    for( var i = 0; i < userAgentData.brands.length; i++ ){
+        var brand = userAgentData.brands[ i ];
+        if( Object.prototype.hasOwnProperty.call( names, brand.brand ) ){
+            return {
+                "name": names[ brand.brand ],
+                "version": brand.version
+            };
+        }
+    }
+    return null;
+}
+
+/**
+ * Finds the first rule matching the user agent
+ * @private
+ * @param  {String} ua
+ * @param  {Array} rules  [ name, pattern ] pairs, the first capture is the
+ *                        version
+ * @return {Object} { name, version }
+ */
+function matchRule( ua, rules ){
+    for( var i = 0; i < rules.length; i++ ){
+        var match = ua.match( rules[ i ][ 1 ] );
+        if( match ){
+            return {
+                "name": rules[ i ][ 0 ],
+                "version": ( match[ 1 ] || "" ).replace( /_/g, "." )
+            };
+        }
+    }
+    return {
+        "name": "",
+        "version": ""
+    };
+}
+
+/**
+ * Updates supportBoxModel once detectBoxModel has run
+ * @private
+ * @param {Boolean} support
+ */
+function setBoxModel( support ){
+    supportBoxModel = support;
+}
+
+/**
+ * Updates supportsHTML5Video once detectHTML5Video has run
+ * @private
+ * @param {Boolean} support
+ */
+function setHTML5Video( support ){
+    supportsHTML5Video = support;
+}
+
+/**
+ * Works out the values from the detections again. The DOM ones go back to
+ * their defaults until their detection runs
+ * @private
  */
-export var supportsHTML5Video = (function supportsHTML5Video(){
-    var video = document.createElement("video");
-    return video && video.play;
-})();
+function updateValues(){
+    getUserAgent = detectUserAgent();
+    hasHistory = detectHistory();
+    hasTouch = detectTouch();
+    isAndroid = detectAndroid();
+    isIOS = detectIOS();
+    isLinux = detectLinux();
+    isMac = detectMac();
+    isMobile = detectMobile();
+    isTablet = detectTablet();
+    isWindows = detectWindows();
+    supportBoxModel = true;
+    supportsHTML5Video = false;
+}
@@ -0,0 +1,282 @@
+"use strict";
+
+/**
+ * Easing functions take the progress of an animation, from 0 to 1, and
+ * return the eased progress. Back and elastic go past 0 and 1.
+ * @module easing
+ */
+
+import { hasOwnProperty } from "./functions";
+
+var BACK = 1.70158;
+var BACK_IN_OUT = BACK * 1.525;
+var ELASTIC = ( 2 * Math.PI ) / 3;
+var ELASTIC_IN_OUT = ( 2 * Math.PI ) / 4.5;
+
+/**
+ * Creates an easing from a cubic bezier curve, like the CSS cubic-bezier()
+ * @param  {Number} x1
+ * @param  {Number} y1
+ * @param  {Number} x2
+ * @param  {Number} y2
+ * @return {Function}
+ */
+export function cubicBezier( x1, y1, x2, y2 ){
+    function curve( a, b, t ){
+        return ( ( ( 1 - 3 * b + 3 * a ) * t + ( 3 * b - 6 * a ) ) * t + 3 * a ) * t;
+    }
+    function slope( a, b, t ){
+        return 3 * ( 1 - 3 * b + 3 * a ) * t * t + 2 * ( 3 * b - 6 * a ) * t + 3 * a;
+    }
+    function solveX( x ){
+        var t = x;
+        var i = 0;
+        for( i = 0; i < 8; i++ ){
+            var error = curve( x1, x2, t ) - x;
+            if( Math.abs( error ) < 1e-6 ) return t;
+            var d = slope( x1, x2, t );
+            if( Math.abs( d ) < 1e-6 ) break;
+            t -= error / d;
+        }
+        var low = 0;
+        var high = 1;
+        t = x;
+        for( i = 0; i < 30 && high - low > 1e-6; i++ ){
+            if( curve( x1, x2, t ) < x ){
+                low = t;
+            } else {
+                high = t;
+            }
+            t = ( low + high ) / 2;
+        }
+        return t;
+    }
+    return function cubicBezier_inner( t ){
+        if( t <= 0 || t >= 1 ) return t;
+        if( x1 === y1 && x2 === y2 ) return t;
+        return curve( y1, y2, solveX( t ) );
+    };
+}
+
+/**
+ * Overshooting ease in
+ * @param  {Number} t
+ * @return {Number}
+ */
+export function easeInBack( t ){
+    return ( BACK + 1 ) * t * t * t - BACK * t * t;
+}
+
+/**
+ * Bouncing ease in
+ * @param  {Number} t
+ * @return {Number}
+ */
+export function easeInBounce( t ){
+    return 1 - easeOutBounce( 1 - t );
+}
+
+/**
+ * Cubic ease in
+ * @param  {Number} t
+ * @return {Number}
+ */
+export function easeInCubic( t ){
+    return t * t * t;
+}
+
+/**
+ * Elastic ease in
+ * @param  {Number} t
+ * @return {Number}
+ */
+export function easeInElastic( t ){
+    if( t === 0 || t === 1 ) return t;
+    return -Math.pow( 2, 10 * t - 10 ) * Math.sin( ( t * 10 - 10.75 ) * ELASTIC );
+}
+
+/**
+ * Exponential ease in
+ * @param  {Number} t
+ * @return {Number}
+ */
+export function easeInExpo( t ){
+    return t === 0 ? 0 : Math.pow( 2, 10 * t - 10 );
+}
+
+/**
+ * Overshooting ease in and out
+ * @param  {Number} t
+ * @return {Number}
+ */
+export function easeInOutBack( t ){
+    return t < 0.5 ?
+        ( Math.pow( 2 * t, 2 ) * ( ( BACK_IN_OUT + 1 ) * 2 * t - BACK_IN_OUT ) ) / 2 :
+        ( Math.pow( 2 * t - 2, 2 ) * ( ( BACK_IN_OUT + 1 ) * ( t * 2 - 2 ) + BACK_IN_OUT ) + 2 ) / 2;
+}
+
+/**
+ * Bouncing ease in and out
+ * @param  {Number} t
+ * @return {Number}
+ */
+export function easeInOutBounce( t ){
+    return t < 0.5 ?
+        ( 1 - easeOutBounce( 1 - 2 * t ) ) / 2 :
+        ( 1 + easeOutBounce( 2 * t - 1 ) ) / 2;
+}
+
+/**
+ * Cubic ease in and out
+ * @param  {Number} t
+ * @return {Number}
+ */
+export function easeInOutCubic( t ){
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow( -2 * t + 2, 3 ) / 2;
+}
+
+/**
+ * Elastic ease in and out
+ * @param  {Number} t
+ * @return {Number}
+ */
+export function easeInOutElastic( t ){
+    if( t === 0 || t === 1 ) return t;
+    return t < 0.5 ?
+        -( Math.pow( 2, 20 * t - 10 ) * Math.sin( ( 20 * t - 11.125 ) * ELASTIC_IN_OUT ) ) / 2 :
+        ( Math.pow( 2, -20 * t + 10 ) * Math.sin( ( 20 * t - 11.125 ) * ELASTIC_IN_OUT ) ) / 2 + 1;
+}
+
+/**
+ * Exponential ease in and out
+ * @param  {Number} t
+ * @return {Number}
+ */
+export function easeInOutExpo( t ){
+    if( t === 0 || t === 1 ) return t;
+    return t < 0.5 ?
+        Math.pow( 2, 20 * t - 10 ) / 2 :
+        ( 2 - Math.pow( 2, -20 * t + 10 ) ) / 2;
+}
+
+/**
+ * Quadratic ease in and out
+ * @param  {Number} t
+ * @return {Number}
+ */
+export function easeInOutQuad( t ){
+    return t < 0.5 ? 2 * t * t : 1 - Math.pow( -2 * t + 2, 2 ) / 2;
+}
+
+/**
+ * Quadratic ease in
+ * @param  {Number} t
+ * @return {Number}
+ */
+export function easeInQuad( t ){
+    return t * t;
+}
+
+/**
+ * Overshooting ease out
+ * @param  {Number} t
+ * @return {Number}
+ */
+export function easeOutBack( t ){
+    return 1 + ( BACK + 1 ) * Math.pow( t - 1, 3 ) + BACK * Math.pow( t - 1, 2 );
+}
+
+/**
+ * Bouncing ease out
+ * @param  {Number} t
+ * @return {Number}
+ */
+export function easeOutBounce( t ){
+    if( t < 1 / 2.75 ) return 7.5625 * t * t;
+    if( t < 2 / 2.75 ) return 7.5625 * ( t -= 1.5 / 2.75 ) * t + 0.75;
+    if( t < 2.5 / 2.75 ) return 7.5625 * ( t -= 2.25 / 2.75 ) * t + 0.9375;
+    return 7.5625 * ( t -= 2.625 / 2.75 ) * t + 0.984375;
+}
+
+/**
+ * Cubic ease out
+ * @param  {Number} t
+ * @return {Number}
+ */
+export function easeOutCubic( t ){
+    return 1 - Math.pow( 1 - t, 3 );
+}
+
+/**
+ * Elastic ease out
+ * @param  {Number} t
+ * @return {Number}
+ */
+export function easeOutElastic( t ){
+    if( t === 0 || t === 1 ) return t;
+    return Math.pow( 2, -10 * t ) * Math.sin( ( t * 10 - 0.75 ) * ELASTIC ) + 1;
+}
+
+/**
+ * Exponential ease out
+ * @param  {Number} t
+ * @return {Number}
+ */
+export function easeOutExpo( t ){
+    return t === 1 ? 1 : 1 - Math.pow( 2, -10 * t );
+}
+
+/**
+ * Quadratic ease out
+ * @param  {Number} t
+ * @return {Number}
+ */
+export function easeOutQuad( t ){
+    return 1 - ( 1 - t ) * ( 1 - t );
+}
+
+/**
+ * Gets an easing by name, e.g. "easeOutCubic". Functions are returned as
+ * they are
+ * @param  {String/Function} easing
+ * @param  {Function} [fallback=easeInOutQuad] Used when there is no easing
+ *                                             with the name
+ * @return {Function}
+ */
+export function getEasing( easing, fallback ){
+    if( typeof easing === "function" ) return easing;
+    var easings = {
+        "easeInBack": easeInBack,
+        "easeInBounce": easeInBounce,
+        "easeInCubic": easeInCubic,
+        "easeInElastic": easeInElastic,
+        "easeInExpo": easeInExpo,
+        "easeInOutBack": easeInOutBack,
+        "easeInOutBounce": easeInOutBounce,
+        "easeInOutCubic": easeInOutCubic,
+        "easeInOutElastic": easeInOutElastic,
+        "easeInOutExpo": easeInOutExpo,
+        "easeInOutQuad": easeInOutQuad,
+        "easeInQuad": easeInQuad,
+        "easeOutBack": easeOutBack,
+        "easeOutBounce": easeOutBounce,
+        "easeOutCubic": easeOutCubic,
+        "easeOutElastic": easeOutElastic,
+        "easeOutExpo": easeOutExpo,
+        "easeOutQuad": easeOutQuad,
+        "linear": linear
+    };
+    if( typeof easing === "string" && hasOwnProperty( easings, easing ) ){
+        return easings[ easing ];
+    }
+    return fallback || easeInOutQuad;
+}
+
+/**
+ * No easing
+ * @param  {Number} t
+ * @return {Number}
+ */
+export function linear( t ){
+    return t;
+}
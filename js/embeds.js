@@ -0,0 +1,139 @@
+"use strict";
+
+/**
+ * @module embeds
+ */
+
+import { getGlobal, hasOwnProperty, isDefined, loadScript } from "./functions";
+
+var EMBED_TIMEOUT = 10000;
+
+var providers = {};
+
+/**
+ * Gets the names of the registered providers
+ * @return {Array}
+ */
+export function getEmbedProviders(){
+    var names = [];
+    for( var name in providers ){
+        if( hasOwnProperty( providers, name ) ) names.push( name );
+    }
+    return names;
+}
+
+/**
+ * Loads the SDK of every provider with embeds in the container and processes
+ * them. Run it again after inserting content to render the new embeds, SDKs
+ * are only ever loaded once. A provider whose SDK doesn't load and define its
+ * global within its scriptOptions.timeout, 10 seconds by default, is skipped
+ * with the error.
+ * @param  {HTMLElement/Document} [container=document]
+ * @return {Promise} Resolves with [{ error, provider }] for each provider
+ *                   that had embeds, error is null if it worked
+ */
+export function loadEmbeds( container ){
+    var root = container || document;
+    var loading = [];
+    for( var name in providers ){
+        if( hasOwnProperty( providers, name ) &&
+            root.querySelector( providers[ name ].selector ) ){
+            loading.push( loadProvider( providers[ name ], root ) );
+        }
+    }
+    return Promise.all( loading );
+}
+
+/**
+ * Registers an embed provider, replacing any with the same name
+ * @param  {String}   name
+ * @param  {Object}   provider
+ * @param  {String}   provider.url      The SDK url
+ * @param  {String}   provider.global   Exists once the SDK is ready, can be
+ *                                      dotted e.g. "twttr.widgets"
+ * @param  {String}   provider.selector Matches the embeds that need the SDK
+ * @param  {Function} [provider.process] Renders the embeds in the container
+ *                                       it is given
+ * @param  {Object}   [provider.scriptOptions] Passed to loadScript
+ */
+export function registerEmbedProvider( name, provider ){
+    providers[ name ] = {
+        "global": provider.global,
+        "name": name,
+        "process": provider.process || null,
+        "scriptOptions": provider.scriptOptions || {},
+        "selector": provider.selector,
+        "url": provider.url
+    };
+}
+
+/**
+ * Removes an embed provider
+ * @param  {String} name
+ */
+export function unregisterEmbedProvider( name ){
+    delete providers[ name ];
+}
+
+/**
+ * Loads the providers SDK if it isn't there and processes the container
+ * @private
+ * @param  {Object} provider
+ * @param  {HTMLElement/Document} root
+ * @return {Promise}
+ */
+function loadProvider( provider, root ){
+    var ready = null;
+    if( isDefined( getGlobal( provider.global ) ) ){
+        ready = Promise.resolve();
+    } else {
+        var options = {};
+        for( var key in provider.scriptOptions ){
+            if( hasOwnProperty( provider.scriptOptions, key ) ){
+                options[ key ] = provider.scriptOptions[ key ];
+            }
+        }
+        options.global = provider.global;
+        if( !isDefined( options.timeout ) ) options.timeout = EMBED_TIMEOUT;
+        ready = loadScript( provider.url, options );
+    }
+    return ready.then(function loadProvider_process(){
+        if( provider.process ) provider.process( root );
+        return {
+            "error": null,
+            "provider": provider.name
+        };
+    }).catch(function loadProvider_error( error ){
+        return {
+            "error": error,
+            "provider": provider.name
+        };
+    });
+}
+
+registerEmbedProvider( "facebook", {
+    "global": "FB.XFBML",
+    "process": function( container ){
+        window.FB.XFBML.parse( container === document ? undefined : container );
+    },
+    "selector": ".fb-post, .fb-video, .fb-page, .fb-comments",
+    "url": "//connect.facebook.net/en_GB/sdk.js#xfbml=1&version=v2.3"
+});
+
+registerEmbedProvider( "instagram", {
+    "global": "instgrm.Embeds",
+    "process": function(){
+        window.instgrm.Embeds.process();
+    },
+    "selector": "blockquote.instagram-media",
+    "url": "//platform.instagram.com/en_US/embeds.js"
+});
+
+registerEmbedProvider( "twitter", {
+    "global": "twttr.widgets",
+    "process": function( container ){
+        window.twttr.widgets.load( container === document ? undefined : container );
+    },
+    "selector": "blockquote.twitter-tweet, blockquote.twitter-video, a.twitter-timeline",
+    "url": "//platform.twitter.com/widgets.js"
+});
@@ -0,0 +1,257 @@
+"use strict";
+
+/**
+ * @module events
+ */
+
+import { createEventTemplate, isDefined, rethrowAsync } from "./functions";
+
+/**
+ * Simple event emitter. Use it as a base class or mix it into an existing
+ * object with EventEmitter.mixin.
+ *
+ * Event types can be namespaced, "load.gallery", so every listener in a
+ * namespace can be removed at once. Listening to "*" receives every event.
+ * @constructor
+ */
+export function EventEmitter(){
+    this._listeners = [];
+}
+
+/**
+ * Copies the emitter methods onto an object or a constructors prototype
+ * @param  {Object/Function} target
+ * @return {Object/Function} The target
+ * @alias module:events.EventEmitter.mixin
+ */
+EventEmitter.mixin = function mixin( target ){
+    var proto = typeof target === "function" ? target.prototype : target;
+    var methods = [ "emit", "off", "on", "once" ];
+    for( var i = 0; i < methods.length; i++ ){
+        proto[ methods[ i ] ] = EventEmitter.prototype[ methods[ i ] ];
+    }
+    return target;
+};
+
+/**
+ * Emits an event. Listeners for the type run first, then wildcard listeners.
+ * A listener calling stopPropagation stops the wildcard listeners,
+ * stopImmediatePropagation stops every listener after it. A listener that
+ * throws doesn't stop the others, the error is rethrown asynchronously.
+ * @param  {String/Object} type      The event type or an event created with
+ *                                   createEventTemplate
+ * @param  {Object} eventData        Added to the event when type is a string
+ * @return {Object}                  The event
+ * @alias module:events.EventEmitter#emit
+ */
+EventEmitter.prototype.emit = function emit( type, eventData ){
+    var e = typeof type === "string" ?
+        createEventTemplate( parseEventType( type ).type, this, eventData ) :
+        type;
+    var namespace = typeof type === "string" ?
+        parseEventType( type ).namespace :
+        null;
+    var listeners = getListeners( this ).slice();
+    var i = 0;
+    var listener = null;
+
+    addEventMethods( e );
+
+    for( i = 0; i < listeners.length && !e.immediatePropagationStopped; i++ ){
+        listener = listeners[ i ];
+        if( listener.type === e.type && matchesNamespace( listener, namespace ) ){
+            callListener( this, listener, e );
+        }
+    }
+
+    for( i = 0; i < listeners.length && !e.propagationStopped &&
+        !e.immediatePropagationStopped; i++ ){
+        listener = listeners[ i ];
+        if( listener.type === "*" && matchesNamespace( listener, namespace ) ){
+            callListener( this, listener, e );
+        }
+    }
+
+    return e;
+};
+
+/**
+ * Removes listeners. With no arguments every listener is removed, a
+ * namespace on its own (".gallery") removes every listener in it
+ * @param  {String}   [type]
+ * @param  {Function} [fn]
+ * @return {EventEmitter}
+ * @alias module:events.EventEmitter#off
+ */
+EventEmitter.prototype.off = function off( type, fn ){
+    var listeners = getListeners( this );
+    var types = isDefined( type ) ? splitEventTypes( type ) : [ "" ];
+    for( var t = 0; t < types.length; t++ ){
+        var parsed = parseEventType( types[ t ] );
+        for( var i = listeners.length - 1; i >= 0; i-- ){
+            var listener = listeners[ i ];
+            if( ( !parsed.type || listener.type === parsed.type ) &&
+                ( !parsed.namespace || listener.namespace === parsed.namespace ) &&
+                ( !fn || listener.fn === fn ) ){
+                listeners.splice( i, 1 );
+            }
+        }
+    }
+    return this;
+};
+
+/**
+ * Adds a listener. Several types can be given separated by spaces
+ * @param  {String}   type
+ * @param  {Function} fn
+ * @param  {*}        ctx  What `this` is in the listener, the emitter by default
+ * @return {EventEmitter}
+ * @alias module:events.EventEmitter#on
+ */
+EventEmitter.prototype.on = function on( type, fn, ctx ){
+    return addListener( this, type, fn, ctx, false );
+};
+
+/**
+ * Adds a listener that removes itself after it has been called
+ * @param  {String}   type
+ * @param  {Function} fn
+ * @param  {*}        ctx
+ * @return {EventEmitter}
+ * @alias module:events.EventEmitter#once
+ */
+EventEmitter.prototype.once = function once( type, fn, ctx ){
+    return addListener( this, type, fn, ctx, true );
+};
+
+/**
+ * Splits "load.gallery" into its type and namespace
+ * @param  {String} type
+ * @return {Object} { namespace, type }
+ */
+export function parseEventType( type ){
+    var index = type.indexOf( "." );
+    if( index === -1 ){
+        return {
+            "namespace": null,
+            "type": type
+        };
+    }
+    return {
+        "namespace": type.slice( index + 1 ) || null,
+        "type": type.slice( 0, index )
+    };
+}
+
+/**
+ * Adds the preventDefault and stopPropagation methods to an event
+ * @private
+ * @param  {Object} e
+ */
+function addEventMethods( e ){
+    if( !isDefined( e.defaultPrevented ) ) e.defaultPrevented = false;
+    if( !isDefined( e.propagationStopped ) ) e.propagationStopped = false;
+    if( !isDefined( e.immediatePropagationStopped ) ){
+        e.immediatePropagationStopped = false;
+    }
+    if( !e.preventDefault ){
+        e.preventDefault = function preventDefault(){
+            e.defaultPrevented = true;
+        };
+    }
+    if( !e.stopPropagation ){
+        e.stopPropagation = function stopPropagation(){
+            e.propagationStopped = true;
+        };
+    }
+    if( !e.stopImmediatePropagation ){
+        e.stopImmediatePropagation = function stopImmediatePropagation(){
+            e.propagationStopped = true;
+            e.immediatePropagationStopped = true;
+        };
+    }
+}
+
+/**
+ * Stores a listener for each of the types
+ * @private
+ * @param  {EventEmitter} emitter
+ * @param  {String}   type
+ * @param  {Function} fn
+ * @param  {*}        ctx
+ * @param  {Boolean}  once
+ * @return {EventEmitter}
+ */
+function addListener( emitter, type, fn, ctx, once ){
+    var listeners = getListeners( emitter );
+    var types = splitEventTypes( type );
+    for( var i = 0; i < types.length; i++ ){
+        var parsed = parseEventType( types[ i ] );
+        listeners.push({
+            "ctx": ctx,
+            "fn": fn,
+            "namespace": parsed.namespace,
+            "once": once,
+            "type": parsed.type
+        });
+    }
+    return emitter;
+}
+
+/**
+ * Calls a listener, keeping any error it throws from stopping the emit
+ * @private
+ * @param  {EventEmitter} emitter
+ * @param  {Object} listener
+ * @param  {Object} e
+ */
+function callListener( emitter, listener, e ){
+    if( listener.once ){
+        var listeners = getListeners( emitter );
+        var index = listeners.indexOf( listener );
+        if( index === -1 ) return;
+        listeners.splice( index, 1 );
+    }
+    try {
+        listener.fn.call( isDefined( listener.ctx ) ? listener.ctx : emitter, e );
+    } catch( err ){
+        rethrowAsync( err );
+    }
+}
+
+/**
+ * Gets the listeners, creating the store for mixed in emitters
+ * @private
+ * @param  {EventEmitter} emitter
+ * @return {Array}
+ */
+function getListeners( emitter ){
+    if( !emitter._listeners ) emitter._listeners = [];
+    return emitter._listeners;
+}
+
+/**
+ * Checks if the listener should receive an event emitted in the namespace
+ * @private
+ * @param  {Object} listener
+ * @param  {String} namespace
+ * @return {Boolean}
+ */
+function matchesNamespace( listener, namespace ){
+    return !namespace || listener.namespace === namespace;
+}
+
+/**
+ * Splits a space separated list of event types
+ * @private
+ * @param  {String} types
+ * @return {Array}
+ */
+function splitEventTypes( types ){
+    var split = types.split( /\s+/ );
+    var result = [];
+    for( var i = 0; i < split.length; i++ ){
+        if( split[ i ] !== "" ) result.push( split[ i ] );
+    }
+    return result.length ? result : [ "" ];
+}
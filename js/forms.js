@@ -0,0 +1,525 @@
+"use strict";
+
+/**
+ * @module forms
+ */
+
+import { EventEmitter } from "./events";
+import {
+    addEvent,
+    ajax,
+    hasOwnProperty,
+    removeElement,
+    removeEvent
+} from "./functions";
+import { stringifyQuery } from "./url";
+
+var SKIPPED_TYPES = [ "button", "file", "image", "reset", "submit" ];
+var VALIDITY_FLAGS = [ "valueMissing", "typeMismatch", "patternMismatch",
+    "tooShort", "tooLong", "rangeUnderflow", "rangeOverflow", "stepMismatch",
+    "badInput" ];
+
+var validatorCount = 0;
+
+/**
+ * Validates a form with the Constraint Validation API, plus custom rules
+ * that can be async, and renders the errors. Fields are validated on submit,
+ * and after that whenever they change. Invalid fields get aria-invalid and
+ * their error is linked with aria-describedby.
+ *
+ * Submitting the form validates it first. With the ajax option it is then
+ * sent with ajax, otherwise it is submitted as normal.
+ *
+ * The validator is an EventEmitter. It emits "invalid" with { errors } when
+ * a submit is stopped, "submit" with { response } once an ajax submit
+ * succeeds and "error" with { error } when the form couldn't be submitted.
+ * @param  {HTMLFormElement} form
+ * @param  {Object} [options]
+ * @param  {Object} [options.rules] Field names mapped to a rule or an array
+ *                                  of them. Rules are called with the value,
+ *                                  the field and the form and return true,
+ *                                  or false or a message when invalid, or a
+ *                                  promise of either
+ * @param  {Object} [options.messages] Replaces the browsers messages, e.g.
+ *                                     { valueMissing: "Required" }, or
+ *                                     field names mapped to those
+ * @param  {Function} [options.renderError] Called with the field and the
+ *                                          message instead of rendering an
+ *                                          element after the field
+ * @param  {Function} [options.clearError]  Called with the field to remove
+ *                                          an error renderError rendered
+ * @param  {Boolean/Object} [options.ajax] Submit with ajax, an object is
+ *                                         merged into its options
+ * @return {Object} { destroy, reset, submit, validate, validateField } and
+ *                  the EventEmitter methods
+ */
+export function createValidator( form, options ){
+    var opts = options || {};
+    var validator = new EventEmitter();
+    var pending = null;
+    // Prefixes the error ids of fields without one, unique per validator
+    var prefix = form.id || "form-" + ( ++validatorCount );
+    var tokens = {};
+    var validated = false;
+
+    form.noValidate = true;
+
+    function renderError( field, message ){
+        var group = getGroup( form, field );
+        var id = getErrorId( prefix, field );
+        for( var i = 0; i < group.length; i++ ){
+            group[ i ].setAttribute( "aria-invalid", "true" );
+            addDescribedBy( group[ i ], id );
+        }
+        if( opts.renderError ) return opts.renderError( field, message );
+        var el = document.getElementById( id );
+        if( !el ){
+            el = document.createElement( "div" );
+            el.id = id;
+            el.className = "form-error";
+            el.setAttribute( "aria-live", "polite" );
+            var last = group[ group.length - 1 ];
+            last.parentNode.insertBefore( el, last.nextSibling );
+        }
+        el.textContent = message;
+    }
+
+    function clearError( field ){
+        var group = getGroup( form, field );
+        var id = getErrorId( prefix, field );
+        for( var i = 0; i < group.length; i++ ){
+            group[ i ].removeAttribute( "aria-invalid" );
+            removeDescribedBy( group[ i ], id );
+        }
+        if( opts.clearError ) return opts.clearError( field );
+        var el = document.getElementById( id );
+        if( el ) removeElement( el );
+    }
+
+    function onChange( e ){
+        var field = e.target;
+        if( validated && field.form === form && field.name ) validator.validateField( field );
+    }
+
+    function onSubmit( e ){
+        e.preventDefault();
+        // Failures are emitted as "error"
+        validator.submit( e.submitter ).catch(function onSubmitError(){});
+    }
+
+    function submitNatively( submitter ){
+        removeEvent( form, "submit", onSubmit );
+        try {
+            if( typeof form.requestSubmit === "function" ){
+                if( submitter ){
+                    form.requestSubmit( submitter );
+                } else {
+                    form.requestSubmit();
+                }
+            } else {
+                // form.submit is shadowed by a field named "submit"
+                HTMLFormElement.prototype.submit.call( form );
+            }
+        } finally {
+            addEvent( form, "submit", onSubmit );
+        }
+    }
+
+    /**
+     * Stops validating, leaving the errors as they are
+     */
+    validator.destroy = function destroy(){
+        removeEvent( form, "submit", onSubmit );
+        removeEvent( form, "change", onChange );
+        validator.off();
+    };
+
+    /**
+     * Clears every error
+     */
+    validator.reset = function reset(){
+        validated = false;
+        var fields = getFields( form );
+        for( var i = 0; i < fields.length; i++ ){
+            fields[ i ].setCustomValidity( "" );
+            clearError( fields[ i ] );
+        }
+    };
+
+    /**
+     * Validates the form and, if it is valid, submits it. While a submit is
+     * validating or sending, calling it again returns the same promise
+     * @param  {HTMLElement} [submitter] The button that submitted the form,
+     *                                   its name and value are sent when the
+     *                                   form is submitted as normal
+     * @return {Promise} Resolves with the ajax response, or null if it was
+     *                   invalid or submitted as normal. Rejects, after
+     *                   emitting "error", if it couldn't be submitted
+     */
+    validator.submit = function submit( submitter ){
+        if( pending ) return pending;
+        pending = validator.validate().then(function submit_validated( errors ){
+            if( errors.length > 0 ){
+                validator.emit( "invalid", {
+                    "errors": errors
+                });
+                errors[ 0 ].field.focus();
+                return null;
+            }
+            if( !opts.ajax ){
+                submitNatively( submitter );
+                return null;
+            }
+            return submitWithAjax( form, opts.ajax ).then(function submit_sent( response ){
+                validator.emit( "submit", {
+                    "response": response
+                });
+                return response;
+            });
+        }).then(function submit_done( result ){
+            pending = null;
+            return result;
+        }, function submit_failed( error ){
+            pending = null;
+            validator.emit( "error", {
+                "error": error
+            });
+            throw error;
+        });
+        return pending;
+    };
+
+    /**
+     * Validates every field, rendering the errors
+     * @return {Promise} Resolves with an array of { field, message }, empty
+     *                   when the form is valid
+     */
+    validator.validate = function validate(){
+        validated = true;
+        var fields = getFields( form );
+        return Promise.all( fields.map( validator.validateField ) ).then(function validate_done( messages ){
+            var errors = [];
+            for( var i = 0; i < fields.length; i++ ){
+                if( messages[ i ] ){
+                    errors.push({
+                        "field": fields[ i ],
+                        "message": messages[ i ]
+                    });
+                }
+            }
+            return errors;
+        });
+    };
+
+    /**
+     * Validates a field, rendering or clearing its error
+     * @param  {HTMLElement} field
+     * @return {Promise} Resolves with the error message, or null when valid
+     */
+    validator.validateField = function validateField( field ){
+        var token = {};
+        tokens[ field.name ] = token;
+        field.setCustomValidity( "" );
+        var message = getConstraintMessage( field, opts.messages || {} );
+        var result = message ? Promise.resolve( message ) :
+            runRules( field, form, getRules( opts.rules || {}, field.name ) );
+        return result.then(function validateField_done( error ){
+            if( tokens[ field.name ] !== token ) return error;
+            if( error ){
+                field.setCustomValidity( error );
+                renderError( field, error );
+            } else {
+                clearError( field );
+            }
+            return error;
+        });
+    };
+
+    addEvent( form, "submit", onSubmit );
+    addEvent( form, "change", onChange );
+
+    return validator;
+}
+
+/**
+ * Serialises the fields of a form the way the browser would submit them.
+ * Unchecked checkboxes and radios, disabled fields and buttons are left
+ * out, multi-selects give every selected value and repeated names give an
+ * array. Files are only included in FormData
+ * @param  {HTMLFormElement} form
+ * @param  {Object} [options]
+ * @param  {String} [options.format="object"] "object", "query" or "formData"
+ * @return {Object/String/FormData}
+ */
+export function serializeForm( form, options ){
+    var format = ( options || {} ).format || "object";
+    var data = format === "formData" ? new FormData() : {};
+    var elements = form.elements;
+    for( var i = 0; i < elements.length; i++ ){
+        var field = elements[ i ];
+        var name = field.name;
+        if( format === "formData" && field.type === "file" && name && !field.disabled ){
+            appendFiles( data, name, field.files );
+        } else if( isSerializable( field ) ){
+            var values = [].concat( getFieldValue( field ) );
+            for( var j = 0; j < values.length; j++ ){
+                if( format === "formData" ){
+                    data.append( name, values[ j ] );
+                } else {
+                    addValue( data, name, values[ j ] );
+                }
+            }
+        }
+    }
+    return format === "query" ? stringifyQuery( data ) : data;
+}
+
+/**
+ * Adds an id to aria-describedby
+ * @private
+ * @param  {HTMLElement} field
+ * @param  {String} id
+ */
+function addDescribedBy( field, id ){
+    var ids = ( field.getAttribute( "aria-describedby" ) || "" ).split( /\s+/ );
+    if( ids.indexOf( id ) !== -1 ) return;
+    ids.push( id );
+    field.setAttribute( "aria-describedby", ids.join( " " ).trim() );
+}
+
+/**
+ * Adds a value to the object, making an array when the name repeats
+ * @private
+ * @param  {Object} data
+ * @param  {String} name
+ * @param  {String} value
+ */
+function addValue( data, name, value ){
+    if( hasOwnProperty( data, name ) ){
+        data[ name ] = [].concat( data[ name ], value );
+    } else {
+        data[ name ] = /\[\]$/.test( name ) ? [ value ] : value;
+    }
+}
+
+/**
+ * Appends the files to the FormData
+ * @private
+ * @param  {FormData} data
+ * @param  {String} name
+ * @param  {FileList} files
+ */
+function appendFiles( data, name, files ){
+    for( var i = 0; files && i < files.length; i++ ){
+        data.append( name, files[ i ] );
+    }
+}
+
+/**
+ * Gets the message for the first constraint the field fails
+ * @private
+ * @param  {HTMLElement} field
+ * @param  {Object} messages
+ * @return {String/Null}
+ */
+function getConstraintMessage( field, messages ){
+    if( !field.validity || field.validity.valid ) return null;
+    var fieldMessages = messages[ field.name ] || {};
+    for( var i = 0; i < VALIDITY_FLAGS.length; i++ ){
+        var flag = VALIDITY_FLAGS[ i ];
+        if( field.validity[ flag ] ){
+            return fieldMessages[ flag ] || ( typeof messages[ flag ] === "string" && messages[ flag ] ) ||
+                field.validationMessage || "This field is invalid";
+        }
+    }
+    return field.validationMessage || "This field is invalid";
+}
+
+/**
+ * Gets the id of the fields error element
+ * @private
+ * @param  {String} prefix Used with the name for radios and fields without an
+ *                         id
+ * @param  {HTMLElement} field
+ * @return {String}
+ */
+function getErrorId( prefix, field ){
+    var base = field.type === "radio" || !field.id ?
+        prefix + "-" + field.name.replace( /[^\w-]/g, "" ) :
+        field.id;
+    return base + "-error";
+}
+
+/**
+ * Gets the value of a field the way it is submitted
+ * @private
+ * @param  {HTMLElement} field
+ * @return {String/Array}
+ */
+function getFieldValue( field ){
+    if( field.type === "select-multiple" ){
+        var values = [];
+        for( var i = 0; i < field.options.length; i++ ){
+            if( field.options[ i ].selected ) values.push( field.options[ i ].value );
+        }
+        return values;
+    }
+    if( field.type === "checkbox" || field.type === "radio" ){
+        return field.checked ? field.value : [];
+    }
+    return field.value;
+}
+
+/**
+ * Gets the fields to validate, one for each radio group
+ * @private
+ * @param  {HTMLFormElement} form
+ * @return {Array}
+ */
+function getFields( form ){
+    var fields = [];
+    var radios = [];
+    for( var i = 0; i < form.elements.length; i++ ){
+        var field = form.elements[ i ];
+        if( field.name && !field.disabled && field.willValidate !== false &&
+            SKIPPED_TYPES.indexOf( field.type ) === -1 &&
+            field.nodeName.toLowerCase() !== "fieldset" &&
+            ( field.type !== "radio" || radios.indexOf( field.name ) === -1 ) ){
+            if( field.type === "radio" ) radios.push( field.name );
+            fields.push( field );
+        }
+    }
+    return fields;
+}
+
+/**
+ * Gets the fields sharing the fields name, for radio groups
+ * @private
+ * @param  {HTMLFormElement} form
+ * @param  {HTMLElement} field
+ * @return {Array}
+ */
+function getGroup( form, field ){
+    if( field.type !== "radio" ) return [ field ];
+    var group = [];
+    for( var i = 0; i < form.elements.length; i++ ){
+        if( form.elements[ i ].type === "radio" && form.elements[ i ].name === field.name ){
+            group.push( form.elements[ i ] );
+        }
+    }
+    return group;
+}
+
+/**
+ * Gets the rules for a field as an array
+ * @private
+ * @param  {Object} rules
+ * @param  {String} name
+ * @return {Array}
+ */
+function getRules( rules, name ){
+    return hasOwnProperty( rules, name ) ? [].concat( rules[ name ] ) : [];
+}
+
+/**
+ * Gets the value a rule is called with, the checked value for radio groups
+ * @private
+ * @param  {HTMLFormElement} form
+ * @param  {HTMLElement} field
+ * @return {String/Array}
+ */
+function getRuleValue( form, field ){
+    if( field.type !== "radio" ) return getFieldValue( field );
+    var group = getGroup( form, field );
+    for( var i = 0; i < group.length; i++ ){
+        if( group[ i ].checked ) return group[ i ].value;
+    }
+    return "";
+}
+
+/**
+ * Checks if a field is submitted
+ * @private
+ * @param  {HTMLElement} field
+ * @return {Boolean}
+ */
+function isSerializable( field ){
+    return !!field.name && !field.disabled &&
+        SKIPPED_TYPES.indexOf( field.type ) === -1 &&
+        field.nodeName.toLowerCase() !== "fieldset";
+}
+
+/**
+ * Removes an id from aria-describedby
+ * @private
+ * @param  {HTMLElement} field
+ * @param  {String} id
+ */
+function removeDescribedBy( field, id ){
+    var ids = ( field.getAttribute( "aria-describedby" ) || "" ).split( /\s+/ ).filter(function isOtherId( value ){
+        return value !== "" && value !== id;
+    });
+    if( ids.length > 0 ){
+        field.setAttribute( "aria-describedby", ids.join( " " ) );
+    } else {
+        field.removeAttribute( "aria-describedby" );
+    }
+}
+
+/**
+ * Runs the rules in order, stopping at the first that fails
+ * @private
+ * @param  {HTMLElement} field
+ * @param  {HTMLFormElement} form
+ * @param  {Array} rules
+ * @return {Promise} Resolves with the message, or null. A rule that throws
+ *                   or rejects fails with a generic message
+ */
+function runRules( field, form, rules ){
+    var value = getRuleValue( form, field );
+    return rules.reduce(function runRule( previous, rule ){
+        return previous.then(function runRule_next( message ){
+            if( message ) return message;
+            return Promise.resolve( rule( value, field, form ) ).then(function runRule_done( result ){
+                if( result === false ) return "This field is invalid";
+                return typeof result === "string" && result ? result : null;
+            });
+        });
+    }, Promise.resolve( null ) ).catch(function runRules_failed(){
+        return "This field could not be checked";
+    });
+}
+
+/**
+ * Submits the form with ajax, using its action and method
+ * @private
+ * @param  {HTMLFormElement} form
+ * @param  {Boolean/Object} ajaxOptions
+ * @return {Promise}
+ */
+function submitWithAjax( form, ajaxOptions ){
+    var method = ( form.getAttribute( "method" ) || "GET" ).toUpperCase();
+    var multipart = /multipart\/form-data/i.test( form.getAttribute( "enctype" ) || "" );
+    var request = {
+        "method": method,
+        "url": form.getAttribute( "action" ) || window.location.href
+    };
+    if( method === "GET" ){
+        request.params = serializeForm( form );
+    } else {
+        request.body = serializeForm( form, {
+            "format": multipart ? "formData" : "object"
+        });
+        if( !multipart ){
+            request.headers = {
+                "Content-Type": "application/x-www-form-urlencoded"
+            };
+        }
+    }
+    if( typeof ajaxOptions === "object" ){
+        for( var key in ajaxOptions ){
+            if( hasOwnProperty( ajaxOptions, key ) ) request[ key ] = ajaxOptions[ key ];
+        }
+    }
+    return ajax( request );
+}
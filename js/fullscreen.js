@@ -0,0 +1,279 @@
+"use strict";
+
+/**
+ * @module fullscreen
+ */
+
+import {
+    addClass,
+    addEvent,
+    exitFullscreen as exitNativeFullscreen,
+    removeClass,
+    removeEvent,
+    rethrowAsync
+} from "./functions";
+
+var PSEUDO_CLASS = "is-pseudo-fullscreen";
+var PSEUDO_ROOT_CLASS = "has-pseudo-fullscreen";
+
+var pseudo = {
+    "bodyStyle": null,
+    "element": null,
+    "scrollTop": 0
+};
+var pseudoListeners = [];
+
+/**
+ * Leaves fullscreen, native or pseudo
+ * @return {Promise} Resolves once fullscreen has been left
+ */
+export function exitFullscreen(){
+    if( pseudo.element ){
+        exitPseudoFullscreen();
+        return Promise.resolve();
+    }
+    if( !getNativeFullscreenElement() ) return Promise.resolve();
+    return new Promise(function exitFullscreen_promise( resolve, reject ){
+        var result = document.exitFullscreen ? document.exitFullscreen() : null;
+        if( result && typeof result.then === "function" ){
+            return result.then( resolve, reject );
+        }
+        if( !document.exitFullscreen ) exitNativeFullscreen( document );
+        waitForNativeChange( resolve, reject );
+    });
+}
+
+/**
+ * Gets the element that is fullscreen, native or pseudo
+ * @return {HTMLElement/Null}
+ */
+export function getFullscreenElement(){
+    return getNativeFullscreenElement() || pseudo.element;
+}
+
+/**
+ * Checks if anything is fullscreen, native or pseudo
+ * @return {Boolean}
+ */
+export function isFullscreen(){
+    return !!getFullscreenElement();
+}
+
+/**
+ * Checks if the native fullscreen api can be used on any element
+ * @return {Boolean}
+ */
+export function isFullscreenEnabled(){
+    return !!( document.fullscreenEnabled ||
+        document.webkitFullscreenEnabled ||
+        document.mozFullScreenEnabled ||
+        document.msFullscreenEnabled );
+}
+
+/**
+ * Listens for fullscreen changes, native and pseudo. The listener is called
+ * with { element, isFullscreen, pseudo }
+ * @param  {Function} fn
+ * @return {Function} Removes the listener
+ */
+export function onFullscreenChange( fn ){
+    function listener(){
+        var element = getFullscreenElement();
+        fn({
+            "element": element,
+            "isFullscreen": !!element,
+            "pseudo": !!pseudo.element
+        });
+    }
+    var removeNative = addNativeListener( "change", listener );
+    pseudoListeners.push( listener );
+    return function offFullscreenChange(){
+        removeNative();
+        var index = pseudoListeners.indexOf( listener );
+        if( index !== -1 ) pseudoListeners.splice( index, 1 );
+    };
+}
+
+/**
+ * Listens for native fullscreen requests failing
+ * @param  {Function} fn Called with the event
+ * @return {Function} Removes the listener
+ */
+export function onFullscreenError( fn ){
+    return addNativeListener( "error", fn );
+}
+
+/**
+ * Makes the element fullscreen. Where the native api can't be used on the
+ * element, video elements on iOS use their own player and anything else
+ * falls back to pseudo fullscreen: a class on the element and the document
+ * element, and the page scroll is locked. Style `.is-pseudo-fullscreen` to
+ * fill the viewport.
+ * @param  {HTMLElement} el
+ * @param  {Object} [options]
+ * @param  {Boolean} [options.pseudo=true] Allow the pseudo fullscreen fallback
+ * @return {Promise} Resolves once fullscreen, rejects if it was refused
+ */
+export function requestFullscreen( el, options ){
+    var opts = options || {};
+    var request = el.requestFullscreen ||
+        el.webkitRequestFullscreen ||
+        el.webkitRequestFullScreen ||
+        el.mozRequestFullScreen ||
+        el.msRequestFullscreen;
+
+    if( request && isFullscreenEnabled() ){
+        return new Promise(function requestFullscreen_promise( resolve, reject ){
+            var result = request.call( el );
+            if( result && typeof result.then === "function" ){
+                return result.then( resolve, reject );
+            }
+            waitForNativeChange( resolve, reject );
+        });
+    }
+
+    if( el.webkitEnterFullscreen ){
+        try {
+            el.webkitEnterFullscreen();
+            return Promise.resolve();
+        } catch( e ){
+            if( opts.pseudo === false ) return Promise.reject( e );
+        }
+    }
+
+    if( opts.pseudo === false ){
+        return Promise.reject( new Error( "Fullscreen is not supported" ) );
+    }
+    enterPseudoFullscreen( el );
+    return Promise.resolve();
+}
+
+/**
+ * Listens to the native fullscreen event, using the first naming the browser
+ * supports so the listener isn't called twice
+ * @private
+ * @param  {String}   type "change" or "error"
+ * @param  {Function} fn
+ * @return {Function} Removes the listener
+ */
+function addNativeListener( type, fn ){
+    var eventName = getNativeEventName( type );
+    addEvent( document, eventName, fn );
+    return function removeNativeListener(){
+        removeEvent( document, eventName, fn );
+    };
+}
+
+/**
+ * Puts the element in pseudo fullscreen and locks the scroll
+ * @private
+ * @param  {HTMLElement} el
+ */
+function enterPseudoFullscreen( el ){
+    if( pseudo.element === el ) return;
+    if( pseudo.element ) exitPseudoFullscreen( true );
+    var body = document.body;
+    pseudo.element = el;
+    pseudo.scrollTop = window.pageYOffset || document.documentElement.scrollTop;
+    pseudo.bodyStyle = {
+        "overflow": body.style.overflow,
+        "position": body.style.position,
+        "top": body.style.top,
+        "width": body.style.width
+    };
+    body.style.overflow = "hidden";
+    body.style.position = "fixed";
+    body.style.top = -pseudo.scrollTop + "px";
+    body.style.width = "100%";
+    addClass( document.documentElement, PSEUDO_ROOT_CLASS );
+    addClass( el, PSEUDO_CLASS );
+    notifyPseudoListeners();
+}
+
+/**
+ * Leaves pseudo fullscreen and restores the scroll
+ * @private
+ * @param  {Boolean} silent Don't notify the listeners
+ */
+function exitPseudoFullscreen( silent ){
+    var body = document.body;
+    var style = pseudo.bodyStyle;
+    removeClass( pseudo.element, PSEUDO_CLASS );
+    removeClass( document.documentElement, PSEUDO_ROOT_CLASS );
+    body.style.overflow = style.overflow;
+    body.style.position = style.position;
+    body.style.top = style.top;
+    body.style.width = style.width;
+    window.scrollTo( 0, pseudo.scrollTop );
+    pseudo.element = null;
+    pseudo.bodyStyle = null;
+    if( !silent ) notifyPseudoListeners();
+}
+
+/**
+ * Gets the element using the native fullscreen api
+ * @private
+ * @return {HTMLElement/Null}
+ */
+function getNativeFullscreenElement(){
+    return document.fullscreenElement ||
+        document.webkitFullscreenElement ||
+        document.webkitCurrentFullScreenElement ||
+        document.mozFullScreenElement ||
+        document.msFullscreenElement ||
+        null;
+}
+
+/**
+ * Gets the name of the native fullscreen event the browser supports
+ * @private
+ * @param  {String} type "change" or "error"
+ * @return {String}
+ */
+function getNativeEventName( type ){
+    if( "onfullscreen" + type in document ) return "fullscreen" + type;
+    if( "onwebkitfullscreen" + type in document ) return "webkitfullscreen" + type;
+    if( "onmozfullscreen" + type in document ) return "mozfullscreen" + type;
+    if( "onmsfullscreen" + type in document ){
+        return "MSFullscreen" + type.charAt( 0 ).toUpperCase() + type.slice( 1 );
+    }
+    return "fullscreen" + type;
+}
+
+/**
+ * Tells the change listeners pseudo fullscreen changed. A listener that
+ * throws doesn't stop the others, its error is rethrown asynchronously
+ * @private
+ */
+function notifyPseudoListeners(){
+    var listeners = pseudoListeners.slice();
+    for( var i = 0; i < listeners.length; i++ ){
+        try {
+            listeners[ i ]();
+        } catch( err ){
+            rethrowAsync( err );
+        }
+    }
+}
+
+/**
+ * Waits for the next native change or error event, for browsers where the
+ * api doesn't return a promise
+ * @private
+ * @param  {Function} resolve
+ * @param  {Function} reject
+ */
+function waitForNativeChange( resolve, reject ){
+    var removeChange = null;
+    var removeError = null;
+    removeChange = addNativeListener( "change", function(){
+        removeChange();
+        removeError();
+        resolve();
+    });
+    removeError = addNativeListener( "error", function(){
+        removeChange();
+        removeError();
+        reject( new Error( "Fullscreen request was refused" ) );
+    });
+}
@@ -2,20 +2,28 @@
 
 /**
  * Modifies Element.prototype.matches
- * Vendor prefixes
+ * Vendor prefixes. Skipped outside of a browser
  */
-Element.prototype.matches = Element.prototype.matchesSelector ||
-                            Element.prototype.matches ||
-                            Element.prototype.msMatchesSelector ||
-                            Element.prototype.webkitMatchesSelector ||
-                            Element.prototype.mozMatchesSelector ||
-                            Element.prototype.oMatchesSelector;
+if( typeof Element !== "undefined" ){
+    Element.prototype.matches = Element.prototype.matchesSelector ||
+                                Element.prototype.matches ||
+                                Element.prototype.msMatchesSelector ||
+                                Element.prototype.webkitMatchesSelector ||
+                                Element.prototype.mozMatchesSelector ||
+                                Element.prototype.oMatchesSelector;
+}
 
 /**
  * @module functions
  */
 
-import { supportBoxModel } from "./detect";
+import { isSlotInCategory } from "./adslots";
+import { detectBoxModel } from "./detect";
+import { sanitizeHtml } from "./html";
+
+var AJAX_CACHE_PREFIX = "cnd_ajax_";
+var DEBOUNCE_OPTIONS = [ "leading", "maxWait", "scope", "trailing" ];
+var GLOBAL_TIMEOUT = 10000;
 
 /**
  * Adds a class to an element
@@ -53,52 +61,635 @@ export function addEventOnce( el, type, fn ){
 }
 
 /**
- * Adds html to a node
+ * Adds html to a node. Text between the tags is kept too
  * @param {HTMLElement} node
+ * @param {Object} [options]
+ * @param {Boolean/Object} [options.sanitize=false] Run the html through
+ *                                                  sanitizeHtml first, an
+ *                                                  object is passed as its
+ *                                                  options
+ * @return {Function} Called with the html to add
  */
-export function addHtml( node ){
+export function addHtml( node, options ){
+    var opts = options || {};
     var tmp = document.createElement("div");
     return function addHtml_inner( html ){
+        if( opts.sanitize ){
+            html = sanitizeHtml( html, typeof opts.sanitize === "object" ? opts.sanitize : null );
+        }
         tmp.innerHTML = html;
-        while(tmp.children.length > 0){
-            node.appendChild( tmp.children[0] );
+        while( tmp.firstChild ){
+            node.appendChild( tmp.firstChild );
         }
         tmp.innerHTML = "";
     };
 }
 
 /**
- * Basic ajax function
+ * Makes an http request. Any 2xx status resolves, everything else rejects
+ * with an error describing what went wrong.
  * @param  {Object} options
- * @return {Promise}
+ * @param  {String} options.url
+ * @param  {String} [options.method="GET"]
+ * @param  {Object} [options.headers]
+ * @param  {*} [options.body] Plain objects and arrays are sent as JSON, or
+ *                            urlencoded if the Content-Type header asks for
+ *                            it. FormData, Blobs and strings are sent as is
+ * @param  {String} [options.responseType] "json", "text", "document", "blob"
+ *                                         or "arraybuffer". JSON is parsed
+ *                                         when the response says it is JSON
+ * @param  {Boolean} [options.withCredentials=false]
+ * @param  {Number} [options.timeout] Milliseconds before the request is aborted
+ * @param  {AbortSignal} [options.signal]
+ * @param  {Object} [options.cancelToken] Created with createCancelToken
+ * @param  {Object} [options.params] Added to the url as a query string
+ * @param  {Boolean} [options.dedupe=false] Identical requests made while one is
+ *                                          in flight share its promise, and
+ *                                          so its signal and cancel token
+ * @param  {Boolean/Number/Object} [options.cache=false] Caches successful
+ *   responses. `true` caches in memory for 5 minutes, a number is the ttl in
+ *   milliseconds, or pass { ttl, storage } where storage is "memory" or
+ *   "session". Cached data is copied, so changing it doesn't change the cache.
+ *   Clear it with invalidateAjaxCache
+ * @param  {Number/Object} [options.retry=0] Retries network errors, timeouts
+ *   and some statuses. A number is the amount of retries, or pass { retries,
+ *   delay, factor, maxDelay, jitter, statuses }
+ * @return {Promise} Resolves with { data, event, headers, request, status,
+ *                   statusText }. Responses from the cache have `cached` set
+ *                   and no event or request. Rejects with an Error that has `type`
+ *                   ("status", "network", "timeout" or "abort"), `status`,
+ *                   `data`, `reason`, `event` and `request` properties
  */
 export function ajax( options ){
-    return new Promise(function( resolve, reject ){
+    var cacheOptions = getAjaxCacheOptions( options.cache );
+    var key = null;
+    var url = null;
+    try {
+        url = appendAjaxParams( options.url, options.params );
+        if( cacheOptions || options.dedupe ) key = getAjaxKey( options, url );
+    } catch( e ){
+        return Promise.reject( e );
+    }
+
+    if( cacheOptions && key ){
+        var cached = readAjaxCache( key, cacheOptions.storage );
+        if( cached ) return Promise.resolve( cached );
+    }
+
+    if( options.dedupe && key && hasOwnProperty( ajax._inFlight, key ) ){
+        return ajax._inFlight[ key ];
+    }
+
+    var promise = sendAjaxWithRetry( options, url,
+        getAjaxRetryOptions( options.retry ), 0 );
+
+    if( cacheOptions && key ){
+        promise = promise.then(function ajax_cache( response ){
+            writeAjaxCache( key, response, cacheOptions );
+            return response;
+        });
+    }
+
+    if( options.dedupe && key ){
+        var inFlight = ajax._inFlight;
+        var clear = function ajax_clearInFlight(){
+            if( inFlight[ key ] === promise ) delete inFlight[ key ];
+        };
+        inFlight[ key ] = promise;
+        promise.then( clear, clear );
+    }
+
+    return promise;
+}
+ajax._cache = {};
+ajax._inFlight = {};
+
+/**
+ * Sends a single http request
+ * @private
+ * @param  {Object} options The options passed to ajax
+ * @param  {String} url     The url including any params
+ * @return {Promise}
+ */
+function sendAjaxRequest( options, url ){
+    return new Promise(function sendAjaxRequest_promise( resolve, reject ){
+
+        var method = ( options.method || "GET" ).toUpperCase();
+        var headers = copyAjaxHeaders( options.headers );
+        var body = serializeAjaxBody( options.body, headers );
+        var signal = options.signal || null;
+        var cancelToken = options.cancelToken || null;
+        var abortType = null;
+        var abortReason;
+        var timer = null;
+
+        if( signal && signal.aborted ){
+            return reject( createAjaxError( "abort", null, null,
+                signal.reason ) );
+        }
+        if( cancelToken && cancelToken.cancelled ){
+            return reject( createAjaxError( "abort", null, null,
+                cancelToken.reason ) );
+        }
 
         var request = new XMLHttpRequest();
+
+        function abort( type, reason ){
+            if( abortType ) return;
+            abortType = type;
+            abortReason = reason;
+            request.abort();
+        }
+
+        function onSignalAbort(){
+            abort( "abort", signal.reason );
+        }
+
+        function cleanup(){
+            request.onreadystatechange = null;
+            clearTimeout( timer );
+            if( signal ) removeEvent( signal, "abort", onSignalAbort );
+        }
+
         request.onreadystatechange = function( e ){
-            if( request.readyState === 4 ){
-                request.onreadystatechange = null;
-                if( request.status === 200 ){
-                    resolve({
-                        "event": e,
-                        "request": request
-                    });
-                } else {
-                    reject({
-                        "event": e,
-                        "request": request
-                    });
-                }
+            if( request.readyState !== 4 ) return;
+            cleanup();
+
+            if( abortType ){
+                return reject( createAjaxError( abortType, request, e,
+                    abortReason ) );
+            }
+            if( request.status === 0 ){
+                return reject( createAjaxError( "network", request, e ) );
+            }
+
+            var data = parseAjaxData( request, options.responseType );
+            if( request.status >= 200 && request.status < 300 ){
+                resolve({
+                    "data": data,
+                    "event": e,
+                    "headers": parseAjaxHeaders( request ),
+                    "request": request,
+                    "status": request.status,
+                    "statusText": request.statusText
+                });
+            } else {
+                reject( createAjaxError( "status", request, e, undefined,
+                    data ) );
             }
         };
 
-        request.open( "GET", options.url );
-        request.send( null );
+        request.open( method, url );
+
+        if( options.responseType && options.responseType !== "json" &&
+            options.responseType !== "text" ){
+            request.responseType = options.responseType;
+        }
+        if( options.withCredentials ) request.withCredentials = true;
+        for( var key in headers ){
+            if( hasOwnProperty( headers, key ) ){
+                request.setRequestHeader( key, headers[ key ] );
+            }
+        }
+
+        if( options.timeout > 0 ){
+            timer = setTimeout(function ajax_timeout(){
+                abort( "timeout" );
+            }, options.timeout );
+        }
+        if( signal ) addEvent( signal, "abort", onSignalAbort );
+        if( cancelToken ){
+            cancelToken.promise.then(function ajax_cancel( reason ){
+                abort( "abort", reason );
+            });
+        }
+
+        request.send( isDefined( body ) ? body : null );
+
+    });
+}
+
+/**
+ * Adds the params to the url as a query string
+ * @private
+ * @param  {String} url
+ * @param  {Object} params
+ * @return {String}
+ */
+function appendAjaxParams( url, params ){
+    if( !params ) return url;
+    var query = serializeUrlEncoded( params );
+    if( query === "" ) return url;
+    var hashIndex = url.indexOf( "#" );
+    var hash = hashIndex === -1 ? "" : url.slice( hashIndex );
+    var base = hashIndex === -1 ? url : url.slice( 0, hashIndex );
+    return base + ( base.indexOf( "?" ) === -1 ? "?" : "&" ) + query + hash;
+}
+
+/**
+ * Copies response data read from or written to the cache, so callers that
+ * modify their response don't change it for everyone else
+ * @private
+ * @param  {*} data
+ * @return {*}
+ */
+function copyAjaxData( data ){
+    if( !isSerializableBody( data ) ) return data;
+    try {
+        return JSON.parse( JSON.stringify( data ) );
+    } catch( e ){
+        return data;
+    }
+}
+
+/**
+ * Copies the headers so the callers object isn't modified
+ * @private
+ * @param  {Object} headers
+ * @return {Object}
+ */
+function copyAjaxHeaders( headers ){
+    var copy = {};
+    if( !headers ) return copy;
+    for( var key in headers ){
+        if( hasOwnProperty( headers, key ) && isDefined( headers[ key ] ) ){
+            copy[ key ] = headers[ key ];
+        }
+    }
+    return copy;
+}
+
+/**
+ * Creates the error an ajax request rejects with
+ * @private
+ * @param  {String} type    "status", "network", "timeout" or "abort"
+ * @param  {XMLHttpRequest} request
+ * @param  {Event} e
+ * @param  {*} reason       Why the request was aborted
+ * @param  {*} data         The parsed response body
+ * @return {Error}
+ */
+function createAjaxError( type, request, e, reason, data ){
+    var message = null;
+    if( type === "status" ){
+        message = "Request failed with status " + request.status;
+    } else if( type === "timeout" ){
+        message = "Request timed out";
+    } else if( type === "abort" ){
+        message = "Request aborted";
+    } else {
+        message = "Network error";
+    }
+    var error = new Error( message );
+    error.type = type;
+    error.status = request ? request.status : 0;
+    error.statusText = request ? request.statusText : "";
+    error.data = data;
+    error.reason = reason;
+    error.event = e || null;
+    error.request = request;
+    return error;
+}
+
+/**
+ * Normalises the cache option
+ * @private
+ * @param  {Boolean/Number/Object} cache
+ * @return {Object/Null} { storage, ttl }
+ */
+function getAjaxCacheOptions( cache ){
+    if( !cache ) return null;
+    var ttl = 300000;
+    var storage = "memory";
+    if( typeof cache === "number" ){
+        ttl = cache;
+    } else if( typeof cache === "object" ){
+        if( isDefined( cache.ttl ) ) ttl = cache.ttl;
+        if( cache.storage ) storage = cache.storage;
+    }
+    return {
+        "storage": storage,
+        "ttl": ttl
+    };
+}
+
+/**
+ * Gets the storage used to cache responses
+ * @private
+ * @param  {String} storage "memory" or "session"
+ * @return {Storage/Null}
+ */
+function getAjaxCacheStorage( storage ){
+    if( storage !== "session" ) return null;
+    try {
+        return window.sessionStorage || null;
+    } catch( e ){
+        return null;
+    }
+}
+
+/**
+ * Finds a header regardless of the case of its name
+ * @private
+ * @param  {Object} headers
+ * @param  {String} name
+ * @return {String/Undefined}
+ */
+function getAjaxHeader( headers, name ){
+    var lower = name.toLowerCase();
+    for( var key in headers ){
+        if( hasOwnProperty( headers, key ) && key.toLowerCase() === lower ){
+            return headers[ key ];
+        }
+    }
+}
+
+/**
+ * Creates a key identifying the request for caching and deduping. Requests
+ * with bodies that can't be compared don't get a key
+ * @private
+ * @param  {Object} options
+ * @param  {String} url
+ * @return {String/Null}
+ */
+function getAjaxKey( options, url ){
+    var key = ( options.method || "GET" ).toUpperCase() + " " + url;
+    var body = options.body;
+    if( !isDefined( body ) ) return key;
+    if( typeof body === "string" ) return key + " " + body;
+    if( isSerializableBody( body ) ) return key + " " + JSON.stringify( body );
+    return null;
+}
+
+/**
+ * Normalises the retry option
+ * @private
+ * @param  {Number/Object} retry
+ * @return {Object}
+ */
+function getAjaxRetryOptions( retry ){
+    var options = {
+        "delay": 300,
+        "factor": 2,
+        "jitter": true,
+        "maxDelay": 10000,
+        "retries": 0,
+        "statuses": [ 408, 429, 500, 502, 503, 504 ]
+    };
+    if( typeof retry === "number" ){
+        options.retries = retry;
+    } else if( retry ){
+        for( var key in options ){
+            if( hasOwnProperty( options, key ) && isDefined( retry[ key ] ) ){
+                options[ key ] = retry[ key ];
+            }
+        }
+    }
+    return options;
+}
+
+/**
+ * Checks if the value is a plain object or an array
+ * @private
+ * @param  {*}  value
+ * @return {Boolean}
+ */
+function isSerializableBody( value ){
+    var type = Object.prototype.toString.call( value );
+    return type === "[object Object]" || type === "[object Array]";
+}
+
+/**
+ * Parses the response body based on the responseType or content type
+ * @private
+ * @param  {XMLHttpRequest} request
+ * @param  {String} responseType
+ * @return {*}
+ */
+function parseAjaxData( request, responseType ){
+    if( request.responseType && request.responseType !== "text" ){
+        return request.response;
+    }
+    var text = request.responseText;
+    var contentType = request.getResponseHeader( "Content-Type" ) || "";
+    if( responseType === "json" || ( !responseType &&
+        /[\/+]json\b/i.test( contentType ) ) ){
+        if( text === "" ) return null;
+        try {
+            return JSON.parse( text );
+        } catch( e ){
+            return text;
+        }
+    }
+    return text;
+}
+
+/**
+ * Parses the response headers into an object with lowercase keys
+ * @private
+ * @param  {XMLHttpRequest} request
+ * @return {Object}
+ */
+function parseAjaxHeaders( request ){
+    var headers = {};
+    var lines = ( request.getAllResponseHeaders() || "" ).split( /\r?\n/ );
+    for( var i = 0; i < lines.length; i++ ){
+        var index = lines[ i ].indexOf( ":" );
+        if( index <= 0 ) continue;
+        var key = lines[ i ].slice( 0, index ).trim().toLowerCase();
+        var value = lines[ i ].slice( index + 1 ).trim();
+        headers[ key ] = hasOwnProperty( headers, key ) ?
+            headers[ key ] + ", " + value : value;
+    }
+    return headers;
+}
+
+/**
+ * Removes the expired responses from the cache
+ * @private
+ * @param  {Storage} store The session storage, or nothing for memory
+ */
+function pruneAjaxCache( store ){
+    var now = Date.now();
+    if( !store ){
+        for( var key in ajax._cache ){
+            if( hasOwnProperty( ajax._cache, key ) && ajax._cache[ key ].expires < now ){
+                delete ajax._cache[ key ];
+            }
+        }
+        return;
+    }
+    try {
+        for( var i = store.length - 1; i >= 0; i-- ){
+            var storeKey = store.key( i );
+            if( !storeKey || storeKey.indexOf( AJAX_CACHE_PREFIX ) !== 0 ) continue;
+            var entry = JSON.parse( store.getItem( storeKey ) );
+            if( !entry || entry.expires < now ) store.removeItem( storeKey );
+        }
+    } catch( e ){}
+}
+
+/**
+ * Reads a response from the cache if it hasn't expired
+ * @private
+ * @param  {String} key
+ * @param  {String} storage
+ * @return {Object/Null}
+ */
+function readAjaxCache( key, storage ){
+    var entry = null;
+    var store = getAjaxCacheStorage( storage );
+    if( store ){
+        try {
+            entry = JSON.parse( store.getItem( AJAX_CACHE_PREFIX + key ) );
+        } catch( e ){
+            entry = null;
+        }
+    } else if( hasOwnProperty( ajax._cache, key ) ){
+        entry = ajax._cache[ key ];
+    }
+    if( !entry ) return null;
+    if( entry.expires < Date.now() ){
+        removeAjaxCacheEntry( key, store );
+        return null;
+    }
+    return {
+        "cached": true,
+        "data": copyAjaxData( entry.data ),
+        "event": null,
+        "headers": copyAjaxHeaders( entry.headers ),
+        "request": null,
+        "status": entry.status,
+        "statusText": entry.statusText
+    };
+}
+
+/**
+ * Removes a response from the cache
+ * @private
+ * @param  {String} key
+ * @param  {Storage} store The session storage, or nothing for memory
+ */
+function removeAjaxCacheEntry( key, store ){
+    if( !store ){
+        delete ajax._cache[ key ];
+        return;
+    }
+    try {
+        store.removeItem( AJAX_CACHE_PREFIX + key );
+    } catch( e ){}
+}
 
+/**
+ * Sends the request, retrying it with exponential backoff if it fails in a
+ * way the retry options allow
+ * @private
+ * @param  {Object} options
+ * @param  {String} url
+ * @param  {Object} retry   The normalised retry options
+ * @param  {Number} attempt
+ * @return {Promise}
+ */
+function sendAjaxWithRetry( options, url, retry, attempt ){
+    return sendAjaxRequest( options, url ).catch(function ajax_retry( error ){
+        if( attempt >= retry.retries || !shouldRetryAjax( error, retry ) ){
+            throw error;
+        }
+        var delay = Math.min( retry.maxDelay,
+            retry.delay * Math.pow( retry.factor, attempt ) );
+        if( retry.jitter ) delay = delay / 2 + Math.random() * delay / 2;
+        return waitForAjaxRetry( delay, options ).then(function(){
+            return sendAjaxWithRetry( options, url, retry, attempt + 1 );
+        });
     });
 }
 
+/**
+ * Serializes the request body and sets the content type if it needs one
+ * @private
+ * @param  {*} body
+ * @param  {Object} headers
+ * @return {*}
+ */
+function serializeAjaxBody( body, headers ){
+    if( !isDefined( body ) || !isSerializableBody( body ) ) return body;
+    var contentType = getAjaxHeader( headers, "Content-Type" );
+    if( contentType && /x-www-form-urlencoded/i.test( contentType ) ){
+        return serializeUrlEncoded( body );
+    }
+    if( !contentType ){
+        headers[ "Content-Type" ] = "application/json";
+    }
+    return JSON.stringify( body );
+}
+
+/**
+ * Checks if a failed request should be retried
+ * @private
+ * @param  {Error} error
+ * @param  {Object} retry
+ * @return {Boolean}
+ */
+function shouldRetryAjax( error, retry ){
+    if( error.type === "network" || error.type === "timeout" ) return true;
+    return error.type === "status" && retry.statuses.indexOf( error.status ) !== -1;
+}
+
+/**
+ * Waits before retrying a request. Rejects straight away if the request is
+ * aborted while waiting
+ * @private
+ * @param  {Number} delay
+ * @param  {Object} options
+ * @return {Promise}
+ */
+function waitForAjaxRetry( delay, options ){
+    return new Promise(function waitForAjaxRetry_promise( resolve, reject ){
+        var signal = options.signal;
+        var timer = null;
+        function onAbort( reason ){
+            clearTimeout( timer );
+            if( signal ) removeEvent( signal, "abort", onSignalAbort );
+            reject( createAjaxError( "abort", null, null, reason ) );
+        }
+        function onSignalAbort(){
+            onAbort( signal.reason );
+        }
+        timer = setTimeout(function waitForAjaxRetry_timeout(){
+            if( signal ) removeEvent( signal, "abort", onSignalAbort );
+            resolve();
+        }, delay );
+        if( signal ) addEvent( signal, "abort", onSignalAbort );
+        if( options.cancelToken ) options.cancelToken.promise.then( onAbort );
+    });
+}
+
+/**
+ * Caches a successful response
+ * @private
+ * @param  {String} key
+ * @param  {Object} response
+ * @param  {Object} cacheOptions
+ */
+function writeAjaxCache( key, response, cacheOptions ){
+    var entry = {
+        "data": copyAjaxData( response.data ),
+        "expires": Date.now() + cacheOptions.ttl,
+        "headers": copyAjaxHeaders( response.headers ),
+        "status": response.status,
+        "statusText": response.statusText
+    };
+    var store = getAjaxCacheStorage( cacheOptions.storage );
+    pruneAjaxCache( store );
+    if( !store ){
+        ajax._cache[ key ] = entry;
+        return;
+    }
+    try {
+        store.setItem( AJAX_CACHE_PREFIX + key, JSON.stringify( entry ) );
+    } catch( e ){}
+}
+
 /**
  * Clamps a value to the min and max. Also set up to allow currying.
  * @param  {Number} min
@@ -119,6 +710,28 @@ export function clamp( min, max, value1 ){
     };
 }
 
+/**
+ * Creates a token that can cancel ajax requests
+ * @return {Object} { cancel, cancelled, promise, reason }
+ */
+export function createCancelToken(){
+    var token = {
+        "cancel": null,
+        "cancelled": false,
+        "promise": null,
+        "reason": undefined
+    };
+    token.promise = new Promise(function createCancelToken_promise( resolve ){
+        token.cancel = function cancel( reason ){
+            if( token.cancelled ) return;
+            token.cancelled = true;
+            token.reason = reason;
+            resolve( reason );
+        };
+    });
+    return token;
+}
+
 /**
  * Creates an object for events
  * @param  {String} type      The type of event
@@ -144,34 +757,166 @@ export function createEventTemplate(type, target, eventData){
 }
 
 /**
- * Debounce function, allows one function to be ran `wait` milliseconds after.
+ * Debounce function, allows one function to be ran `wait` milliseconds after
+ * the last call. Either pass the scope and immediate, or an options object
+ * as the third argument.
+ *
+ * The returned function has `cancel()` to drop a pending call, `flush()` to
+ * make it now and `pending()` to check if there is one.
  * @param  {Function} fn
  * @param  {Number}   wait      Number of milliseconds
- * @param  {Object}   scope
- * @param  {Boolean}   immediate
+ * @param  {Object}   [scope]   Or the options
+ * @param  {Boolean}  [scope.leading=false]  Call on the leading edge
+ * @param  {Boolean}  [scope.trailing=true]  Call on the trailing edge
+ * @param  {Number}   [scope.maxWait]        The longest a call can be put off
+ * @param  {Object}   [scope.scope]
+ * @param  {Boolean}  [immediate] Call on the leading edge only
  * @return {Function}
  */
 export function debounce( fn, wait, scope, immediate ){
-    var timeout;
+    var options = getDebounceOptions( scope );
+    if( !options ){
+        options = {
+            "leading": !!immediate,
+            "scope": scope,
+            "trailing": !immediate
+        };
+    }
+    return createDebounced( fn, wait || 0, options );
+}
 
-    return function debounce_inner() {
-        var context = scope || this;
-        var args = arguments;
-        var callNow = immediate && !timeout;
+/**
+ * Creates a debounced function, throttle is one with maxWait set to wait
+ * @private
+ * @param  {Function} fn
+ * @param  {Number}   wait
+ * @param  {Object}   options { leading, maxWait, scope, trailing }
+ * @return {Function}
+ */
+function createDebounced( fn, wait, options ){
+    var leading = !!options.leading;
+    var trailing = options.trailing !== false;
+    var maxWait = isDefined( options.maxWait ) ? Math.max( options.maxWait, wait ) : null;
+    var timeout = null;
+    var lastArgs = null;
+    var lastContext = null;
+    var lastCallTime = null;
+    var lastInvokeTime = 0;
+    var result;
+
+    function invoke( time ){
+        var args = lastArgs;
+        var context = lastContext;
+        lastArgs = lastContext = null;
+        lastInvokeTime = time;
+        result = fn.apply( context, args );
+        return result;
+    }
 
-        var later = function() {
-            timeout = null;
-            if (!immediate) fn.apply(context, args);
-        };
+    function remainingWait( time ){
+        var remaining = wait - ( time - lastCallTime );
+        if( maxWait === null ) return remaining;
+        return Math.min( remaining, maxWait - ( time - lastInvokeTime ) );
+    }
 
-        clearTimeout(timeout);
-        timeout = setTimeout(later, wait);
-        if (callNow) fn.apply(context, args);
+    function shouldInvoke( time ){
+        if( lastCallTime === null ) return true;
+        var sinceCall = time - lastCallTime;
+        return sinceCall >= wait || sinceCall < 0 ||
+            ( maxWait !== null && time - lastInvokeTime >= maxWait );
+    }
+
+    function trailingEdge( time ){
+        timeout = null;
+        if( trailing && lastArgs ) return invoke( time );
+        lastArgs = lastContext = null;
+        return result;
+    }
+
+    function timerExpired(){
+        var time = Date.now();
+        if( shouldInvoke( time ) ) return trailingEdge( time );
+        timeout = setTimeout( timerExpired, remainingWait( time ) );
+    }
+
+    function leadingEdge( time ){
+        lastInvokeTime = time;
+        timeout = setTimeout( timerExpired, wait );
+        return leading ? invoke( time ) : result;
+    }
+
+    function debounced(){
+        var time = Date.now();
+        var isInvoking = shouldInvoke( time );
+        lastArgs = arguments;
+        lastContext = options.scope || this;
+        lastCallTime = time;
+        if( isInvoking ){
+            if( timeout === null ) return leadingEdge( time );
+            if( maxWait !== null ){
+                clearTimeout( timeout );
+                timeout = setTimeout( timerExpired, wait );
+                return invoke( time );
+            }
+        }
+        if( timeout === null ) timeout = setTimeout( timerExpired, wait );
+        return result;
+    }
+
+    /**
+     * Drops the pending call
+     */
+    debounced.cancel = function cancel(){
+        if( timeout !== null ) clearTimeout( timeout );
+        lastInvokeTime = 0;
+        lastArgs = lastContext = lastCallTime = timeout = null;
     };
+
+    /**
+     * Makes the pending call now
+     * @return {*} What fn returned
+     */
+    debounced.flush = function flush(){
+        if( timeout === null ) return result;
+        clearTimeout( timeout );
+        return trailingEdge( Date.now() );
+    };
+
+    /**
+     * Checks if there is a call waiting
+     * @return {Boolean}
+     */
+    debounced.pending = function pending(){
+        return timeout !== null;
+    };
+
+    return debounced;
+}
+
+/**
+ * Gets the options when they were passed in place of the scope. Only plain
+ * objects with nothing but option keys count, anything else is the scope
+ * @private
+ * @param  {*} value
+ * @return {Object/Null}
+ */
+function getDebounceOptions( value ){
+    if( !value || typeof value !== "object" ||
+        Object.getPrototypeOf( value ) !== Object.prototype ){
+        return null;
+    }
+    var keys = Object.keys( value );
+    if( keys.length === 0 ) return null;
+    for( var i = 0; i < keys.length; i++ ){
+        if( DEBOUNCE_OPTIONS.indexOf( keys[ i ] ) === -1 ) return null;
+    }
+    return value;
 }
 
 /**
- * Creates a function that will delegate events to a selector
+ * Creates a function that will delegate events to a selector. The handler
+ * has to be kept to remove it, the `on` function in the delegate module
+ * manages that and stops matching at the root
  * @param  {String}   selector
  * @param  {Function} fn
  * @param  {*}   ctx
@@ -279,9 +1024,9 @@ export function getElementOffset( el ){
     var clientTop = docElement.clientTop || body.clientTop || 0;
     var clientLeft = docElement.clientLeft || body.clientLeft || 0;
 
-    var extraY = ( window.pageYOffset || supportBoxModel && docElement.scrollTop || body.scrollTop ) -
+    var extraY = ( window.pageYOffset || detectBoxModel() && docElement.scrollTop || body.scrollTop ) -
                   clientTop;
-    var extraX = ( window.pageXOffset || supportBoxModel && docElement.scrollLeft || body.scrollLeft ) -
+    var extraX = ( window.pageXOffset || detectBoxModel() && docElement.scrollLeft || body.scrollLeft ) -
                   clientLeft;
 
     var top = elementBox.top + extraY;
@@ -309,6 +1054,20 @@ export function getEventTarget( e ) {
   return eve.target || eve.srcElement;
 }
 
+/**
+ * Gets a global. Dotted names get nested properties
+ * @param  {String} name e.g. "googletag" or "googletag.apiReady"
+ * @return {*}           Undefined if any part of it doesn't exist
+ */
+export function getGlobal( name ){
+    var value = window;
+    var parts = name.split( "." );
+    for( var i = 0; i < parts.length && isDefined( value ); i++ ){
+        value = value[ parts[ i ] ];
+    }
+    return isDefined( value ) ? value : undefined;
+}
+
 /**
  * Gets the iframe element based on the window
  * @param  {Window} window
@@ -463,12 +1222,44 @@ export function insertBefore(child, ref){
 }
 
 /**
- * Checks if the placement is in an article slot
+ * Removes responses cached by ajax. Without a match everything is removed
+ * @param  {String/RegExp} [match] A url, or a pattern tested against the
+ *                                 "METHOD url" cache key
+ */
+export function invalidateAjaxCache( match ){
+    function isMatch( key ){
+        if( !isDefined( match ) ) return true;
+        if( match instanceof RegExp ) return match.test( key );
+        var url = key.slice( key.indexOf( " " ) + 1 );
+        return url === match || url.indexOf( match + " " ) === 0;
+    }
+
+    for( var key in ajax._cache ){
+        if( hasOwnProperty( ajax._cache, key ) && isMatch( key ) ){
+            delete ajax._cache[ key ];
+        }
+    }
+
+    var store = getAjaxCacheStorage( "session" );
+    if( !store ) return;
+    try {
+        for( var i = store.length - 1; i >= 0; i-- ){
+            var storeKey = store.key( i );
+            if( storeKey && storeKey.indexOf( AJAX_CACHE_PREFIX ) === 0 &&
+                isMatch( storeKey.slice( AJAX_CACHE_PREFIX.length ) ) ){
+                store.removeItem( storeKey );
+            }
+        }
+    } catch( e ){}
+}
+
+/**
+ * Checks if the placement is registered as an article slot
  * @param  {String}  placement
  * @return {Boolean}
  */
 export function isArticleAdSlot( placement ){
-    return placement === "article-side" || placement === "article-infinite";
+    return isSlotInCategory( placement, "article" );
 }
 
 /**
@@ -490,21 +1281,21 @@ export function isEmptyString( value ){
 }
 
 /**
- * Checks if the placement is a header slot
+ * Checks if the placement is registered as a header slot
  * @param  {String}  placement
  * @return {Boolean}
  */
 export function isHeaderAdSlot( placement ){
-    return placement === "nav-above";
+    return isSlotInCategory( placement, "header" );
 }
 
 /**
- * Checks if the placement is a splash slot
+ * Checks if the placement is registered as a splash slot
  * @param  {String}  placement
  * @return {Boolean}
  */
 export function isSplashAdSlot( placement ){
-    return placement === "tag-inside" || placement === "tag-infinite";
+    return isSlotInCategory( placement, "splash" );
 }
 
 /**
@@ -517,43 +1308,95 @@ export function isWindow( win ){
 }
 
 /**
- * Loads a script file into the page
+ * Loads a script file into the page. Each url is only loaded once, unless
+ * the load failed, so later calls for the url share the first calls load and
+ * its attributes, node and timeout are ignored. Their global is still waited
+ * for, until their own timeout.
  * @param  {String} url
- * @param  {Object} options
- * @return {Promise}
+ * @param  {Object} [options]
+ * @param  {HTMLElement} [options.node=document.head] Where the script is added
+ * @param  {Boolean} [options.async=true]
+ * @param  {Boolean} [options.defer=false]
+ * @param  {String} [options.type="text/javascript"]
+ * @param  {String} [options.crossOrigin]
+ * @param  {String} [options.integrity]
+ * @param  {String} [options.nonce]
+ * @param  {Object} [options.attributes] Any other attributes, e.g. data-*
+ * @param  {Number} [options.timeout] Milliseconds before it rejects, for the
+ *                                    load and the global together
+ * @param  {String} [options.global] Only resolves once the global exists, e.g.
+ *                                   "googletag" or "googletag.apiReady". Without
+ *                                   a timeout it waits up to 10 seconds
+ * @return {Promise} Resolves with the script element
  */
 export function loadScript( url, options ){
-    return new Promise(function loadScript_promise( resolve, reject ){
-        var node = null;
-        if( options && options.node ){
-            node = options.node;
-        } else {
-            node = document.head || document.getElementsByTagName("head")[0];
-        }
+    var opts = options || {};
+    var start = Date.now();
+    var promise = null;
+
+    if( hasOwnProperty( loadScript._cache, url ) ){
+        promise = loadScript._cache[ url ];
+    } else {
         var script = document.createElement("script");
-        script.async = true;
-        script.type = "text/javascript";
+        script.async = opts.async !== false;
+        if( opts.defer ) script.defer = true;
+        script.type = opts.type || "text/javascript";
+        setLoadAttributes( script, opts );
         script.src = url;
-        script.onload = function(){
-            this.onload = this.onerror = null;
-            resolve( script );
-        };
-        script.onerror = function(){
-            this.onload = this.onerror = null;
-            reject( new Error( "Error loading script: " + url ) );
-        };
-        node.appendChild( script );
+        promise = cacheLoad( loadScript._cache, url,
+            loadElement( script, "script", url, opts ) );
+    }
+
+    if( !opts.global ) return promise;
+    return promise.then(function loadScript_global( el ){
+        var timeout = opts.timeout > 0 ?
+            Math.max( 1, opts.timeout - ( Date.now() - start ) ) :
+            undefined;
+        return waitForGlobal( opts.global, timeout ).then(function loadScript_resolve(){
+            return el;
+        });
     });
 }
+loadScript._cache = {};
 
 /**
- * Loads any social scripts. Includes twitter, facebook, vine and instagram
+ * Loads scripts one after the other, for scripts that depend on the ones
+ * before them. An array in the list is loaded in parallel before moving on.
+ * @param  {Array} urls     Urls, { url, options } objects or arrays of them
+ * @param  {Object} [options] Used for any url without its own options
+ * @return {Promise} Resolves with the script elements
+ */
+export function loadScripts( urls, options ){
+    var scripts = [];
+
+    function load( item ){
+        if( typeof item === "string" ) return loadScript( item, options );
+        return loadScript( item.url, item.options || options );
+    }
+
+    return urls.reduce(function loadScripts_reduce( promise, item ){
+        return promise.then(function loadScripts_next(){
+            var next = Array.isArray( item ) ?
+                Promise.all( item.map( load ) ) :
+                load( item );
+            return next.then(function loadScripts_loaded( loaded ){
+                scripts = scripts.concat( loaded );
+            });
+        });
+    }, Promise.resolve()).then(function loadScripts_resolve(){
+        return scripts;
+    });
+}
+
+/**
+ * Loads any social scripts. Includes twitter, facebook and instagram
+ * @deprecated Use loadEmbeds from the embeds module, which only loads the
+ *             scripts the page needs
  * @return {Promise}
  */
 export function loadSocialScripts(){
 
     var twitterPromise = null;
-    var vinePromise = null;
     var facebookPromise = null;
     var instagramPromise = null;
 
@@ -564,13 +1407,6 @@ export function loadSocialScripts(){
         twitterPromise = Promise.resolve();
     }
 
-    // Vine
-    if( !("VINE_EMBEDS" in window) ){
-        vinePromise = loadScript( "https://platform.vine.co/static/scripts/embed.js" );
-    } else {
-        vinePromise = Promise.resolve();
-    }
-
     // Facebook
     if( !("FB" in window) ){
         facebookPromise = loadScript( "//connect.facebook.net/en_GB/sdk.js#xfbml=1&version=v2.3" );
@@ -585,8 +1421,112 @@ export function loadSocialScripts(){
         instagramPromise = Promise.resolve();
     }
 
-    return Promise.all([ twitterPromise, vinePromise, facebookPromise,
-        instagramPromise ]);
+    return Promise.all([ twitterPromise, facebookPromise, instagramPromise ]);
+}
+
+/**
+ * Loads a stylesheet into the page. Each url is only loaded once
+ * @param  {String} url
+ * @param  {Object} [options]
+ * @param  {HTMLElement} [options.node=document.head] Where the link is added
+ * @param  {String} [options.media]
+ * @param  {String} [options.crossOrigin]
+ * @param  {String} [options.integrity]
+ * @param  {String} [options.nonce]
+ * @param  {Object} [options.attributes] Any other attributes
+ * @param  {Number} [options.timeout] Milliseconds before it rejects
+ * @return {Promise} Resolves with the link element
+ */
+export function loadStylesheet( url, options ){
+    var opts = options || {};
+    if( hasOwnProperty( loadStylesheet._cache, url ) ){
+        return loadStylesheet._cache[ url ];
+    }
+    var link = document.createElement("link");
+    link.rel = "stylesheet";
+    if( opts.media ) link.media = opts.media;
+    setLoadAttributes( link, opts );
+    link.href = url;
+    return cacheLoad( loadStylesheet._cache, url,
+        loadElement( link, "stylesheet", url, opts ) );
+}
+loadStylesheet._cache = {};
+
+/**
+ * Stores the load promise, removing it again if the load fails so it can be
+ * retried
+ * @private
+ * @param  {Object} cache
+ * @param  {String} url
+ * @param  {Promise} promise
+ * @return {Promise}
+ */
+function cacheLoad( cache, url, promise ){
+    cache[ url ] = promise;
+    promise.catch(function cacheLoad_failed(){
+        if( cache[ url ] === promise ) delete cache[ url ];
+    });
+    return promise;
+}
+
+/**
+ * Adds the element to the page and waits for it to load
+ * @private
+ * @param  {HTMLElement} el
+ * @param  {String} kind    Used in error messages
+ * @param  {String} url
+ * @param  {Object} options
+ * @return {Promise}
+ */
+function loadElement( el, kind, url, options ){
+    return new Promise(function loadElement_promise( resolve, reject ){
+        var node = options.node ||
+            document.head ||
+            document.getElementsByTagName("head")[0];
+        var timer = null;
+
+        function done( error ){
+            el.onload = el.onerror = null;
+            clearTimeout( timer );
+            if( error ){
+                removeElement( el );
+                reject( error );
+            } else {
+                resolve( el );
+            }
+        }
+
+        el.onload = function(){
+            done();
+        };
+        el.onerror = function(){
+            done( new Error( "Error loading " + kind + ": " + url ) );
+        };
+        if( options.timeout > 0 ){
+            timer = setTimeout(function loadElement_timeout(){
+                done( new Error( "Timed out loading " + kind + ": " + url ) );
+            }, options.timeout );
+        }
+        node.appendChild( el );
+    });
+}
+
+/**
+ * Sets the attributes shared by scripts and stylesheets
+ * @private
+ * @param  {HTMLElement} el
+ * @param  {Object} options
+ */
+function setLoadAttributes( el, options ){
+    if( options.crossOrigin ) el.crossOrigin = options.crossOrigin;
+    if( options.integrity ) el.integrity = options.integrity;
+    if( options.nonce ) el.setAttribute( "nonce", options.nonce );
+    if( !options.attributes ) return;
+    for( var key in options.attributes ){
+        if( hasOwnProperty( options.attributes, key ) ){
+            el.setAttribute( key, options.attributes[ key ] );
+        }
+    }
 }
 
 /**
@@ -606,31 +1546,106 @@ export function not( value ){
     return !value;
 }
 
+/**
+ * Listens for the page being about to unload. Return a message from fn to
+ * ask the user to confirm leaving, browsers show their own text
+ * @param  {Function} fn Called with the event
+ * @return {Function} Removes the listener
+ */
+export function onBeforeUnload( fn ){
+    function listener( e ){
+        var message = fn( e );
+        if( message ){
+            e.returnValue = message;
+            return message;
+        }
+    }
+    addEvent( window, "beforeunload", listener );
+    return function offBeforeUnload(){
+        removeEvent( window, "beforeunload", listener );
+    };
+}
+
+/**
+ * Runs fn when the browser is idle, using requestIdleCallback where it is
+ * available and a timeout otherwise
+ * @param  {Function} fn Called with the deadline, { didTimeout,
+ *                       timeRemaining }
+ * @param  {Object} [options]
+ * @param  {Number} [options.timeout] Run it after this many milliseconds even
+ *                                    if the browser hasn't been idle
+ * @return {Function} Cancels it
+ */
+export function onIdle( fn, options ){
+    var opts = options || {};
+    if( typeof window.requestIdleCallback === "function" ){
+        var id = window.requestIdleCallback( fn, isDefined( opts.timeout ) ? {
+            "timeout": opts.timeout
+        } : undefined );
+        return function cancelIdle(){
+            window.cancelIdleCallback( id );
+        };
+    }
+    var timeout = setTimeout(function onIdle_timeout(){
+        var start = Date.now();
+        fn({
+            "didTimeout": false,
+            "timeRemaining": function timeRemaining(){
+                return Math.max( 0, 50 - ( Date.now() - start ) );
+            }
+        });
+    }, 1 );
+    return function cancelIdle(){
+        clearTimeout( timeout );
+    };
+}
+
+/**
+ * Listens for the page being hidden by navigating away. persisted is true
+ * when the page goes into the back/forward cache and may be shown again, so
+ * it shouldn't be torn down. Falls back to unload where pagehide isn't
+ * supported
+ * @param  {Function} fn Called with { event, persisted }
+ * @return {Function} Removes the listener
+ */
+export function onPageHide( fn ){
+    var type = "onpagehide" in window ? "pagehide" : "unload";
+    function listener( e ){
+        fn({
+            "event": e,
+            "persisted": !!e.persisted
+        });
+    }
+    addEvent( window, type, listener );
+    return function offPageHide(){
+        removeEvent( window, type, listener );
+    };
+}
+
 /**
  * Runs loadFn once the page has loaded
  * @param  {Function} loadFn
+ * @return {Function} Stops loadFn being run, if it hasn't been
  */
 export function onPageLoad( loadFn ){
 
     // If the page has already loaded, just run the function
     if( document.readyState === "complete" ){
         loadFn();
+        return function offPageLoad(){};
+    }
 
     // Page hasn't loaded so store the loadFn and apply a listener if we
     // haven't already
-    } else {
-        onPageLoad._fns.push( loadFn );
-        if( onPageLoad._fns.length === 1 ){
-            addEventOnce( window, "load", onPageLoadListener );
-        }
-    }
-
-    function onPageLoadListener(){
-        var fn = null;
-        while( ( fn = onPageLoad._fns.shift() ) ){
-            fn();
-        }
+    onPageLoad._fns.push( loadFn );
+    if( onPageLoad._fns.length === 1 ){
+        addEventOnce( window, "load", function onPageLoadListener(){
+            runQueue( onPageLoad._fns );
+        });
     }
+    return function offPageLoad(){
+        removeFromQueue( onPageLoad._fns, loadFn );
+    };
 
 }
 onPageLoad._fns = [];
@@ -638,6 +1653,7 @@ onPageLoad._fns = [];
 /**
  * Runs readyFn once the page is ready
  * @param  {Function} readyFn
+ * @return {Function} Stops readyFn being run, if it hasn't been
  */
 export function onPageReady( readyFn ){
 
@@ -645,25 +1661,71 @@ export function onPageReady( readyFn ){
     if( document.readyState === "complete" ||
         document.readyState === "interactive" ){
         readyFn();
+        return function offPageReady(){};
+    }
 
     // Page hasn't loaded so store the readyFn and apply a listener if we
     // haven't already
-    } else {
-        onPageReady._fns.push( readyFn );
-        if( onPageReady._fns.length === 1 ){
-            addEventOnce( window, "DOMContentLoaded", onPageReadyListener );
-        }
+    onPageReady._fns.push( readyFn );
+    if( onPageReady._fns.length === 1 ){
+        addEventOnce( window, "DOMContentLoaded", function onPageReadyListener(){
+            runQueue( onPageReady._fns );
+        });
     }
+    return function offPageReady(){
+        removeFromQueue( onPageReady._fns, readyFn );
+    };
 
-    function onPageReadyListener(){
-        var fn = null;
-        while( ( fn = onPageReady._fns.shift() ) ){
+}
+onPageReady._fns = [];
+
+/**
+ * Removes a function from a queue
+ * @private
+ * @param  {Array}    queue
+ * @param  {Function} fn
+ */
+function removeFromQueue( queue, fn ){
+    var index = queue.indexOf( fn );
+    if( index !== -1 ) queue.splice( index, 1 );
+}
+
+/**
+ * Empties a queue, running each function. An error thrown by one is
+ * rethrown asynchronously so the rest still run
+ * @private
+ * @param  {Array} queue
+ */
+function runQueue( queue ){
+    var fn = null;
+    while( ( fn = queue.shift() ) ){
+        try {
             fn();
+        } catch( err ){
+            rethrowAsync( err );
         }
     }
+}
 
+/**
+ * Listens for the page being hidden or shown, switching tabs or minimising
+ * the browser for example
+ * @param  {Function} fn Called with { hidden, visibilityState }
+ * @return {Function} Removes the listener
+ */
+export function onVisibilityChange( fn ){
+    function listener(){
+        var hidden = !!document.hidden;
+        fn({
+            "hidden": hidden,
+            "visibilityState": document.visibilityState || ( hidden ? "hidden" : "visible" )
+        });
+    }
+    addEvent( document, "visibilitychange", listener );
+    return function offVisibilityChange(){
+        removeEvent( document, "visibilitychange", listener );
+    };
 }
-onPageReady._fns = [];
 
 /**
  * Pads a number
@@ -681,6 +1743,66 @@ export function padValue( value, width, chr ) {
     return ( new Array( width - str.length + 1 ) ).join( character ) + str;
 }
 
+/**
+ * Throttles a function to once per animation frame, with the arguments of
+ * the last call. For scroll and resize handlers. Has the same `cancel()`,
+ * `flush()` and `pending()` as debounce
+ * @param  {Function} fn
+ * @param  {Object}   [scope]
+ * @return {Function}
+ */
+export function rafThrottle( fn, scope ){
+    var raf = typeof requestAnimationFrame === "function" ?
+        requestAnimationFrame :
+        function( cb ){ return setTimeout( cb, 16 ); };
+    var cancelRaf = typeof cancelAnimationFrame === "function" ?
+        cancelAnimationFrame :
+        clearTimeout;
+    var frame = null;
+    var lastArgs = null;
+    var lastContext = null;
+
+    function invoke(){
+        var args = lastArgs;
+        var context = lastContext;
+        frame = lastArgs = lastContext = null;
+        return fn.apply( context, args );
+    }
+
+    function throttled(){
+        lastArgs = arguments;
+        lastContext = scope || this;
+        if( frame === null ) frame = raf( invoke );
+    }
+
+    /**
+     * Drops the pending call
+     */
+    throttled.cancel = function cancel(){
+        if( frame !== null ) cancelRaf( frame );
+        frame = lastArgs = lastContext = null;
+    };
+
+    /**
+     * Makes the pending call now
+     */
+    throttled.flush = function flush(){
+        if( frame === null ) return;
+        cancelRaf( frame );
+        invoke();
+    };
+
+    /**
+     * Checks if there is a call waiting
+     * @return {Boolean}
+     */
+    throttled.pending = function pending(){
+        return frame !== null;
+    };
+
+    return throttled;
+}
+
 /**
  * Generates a random id
  * @return {String}
@@ -725,32 +1847,59 @@ export function removeEvent( el, type, fn ){
 }
 
 /**
- * Throttles an event being fired by the threshold
+ * Rethrows an error asynchronously, so it is still reported without stopping
+ * the code that caught it
+ * @param  {Error} err
+ */
+export function rethrowAsync( err ){
+    setTimeout(function rethrowAsync_timeout(){
+        throw err;
+    }, 0 );
+}
+
+/**
+ * Serializes an object into a urlencoded string. Arrays repeat the key and
+ * null or undefined values are left out
+ * @param  {Object} obj
+ * @return {String} Without a leading ?
+ */
+export function serializeUrlEncoded( obj ){
+    var parts = [];
+    for( var key in obj ){
+        if( hasOwnProperty( obj, key ) && isDefined( obj[ key ] ) ){
+            var values = [].concat( obj[ key ] );
+            for( var i = 0; i < values.length; i++ ){
+                if( isDefined( values[ i ] ) ){
+                    parts.push( encodeURIComponent( key ) + "=" +
+                        encodeURIComponent( values[ i ] ) );
+                }
+            }
+        }
+    }
+    return parts.join( "&" );
+}
+
+/**
+ * Throttles an event being fired by the threshold. Either pass the scope or
+ * an options object as the third argument. Has the same `cancel()`,
+ * `flush()` and `pending()` as debounce
  * @param  {Function} fn
- * @param  {Number}   threshhold Milliseconds to throttle by
- * @param  {Object}   scope
+ * @param  {Number}   [threshhold=250] Milliseconds to throttle by
+ * @param  {Object}   [scope]   Or the options
+ * @param  {Boolean}  [scope.leading=true]  Call on the leading edge
+ * @param  {Boolean}  [scope.trailing=true] Call on the trailing edge
+ * @param  {Object}   [scope.scope]
  * @return {Function}
  */
 export function throttle( fn, threshhold, scope ) {
     if( threshhold === undefined ) threshhold = 250;
-    var last;
-    var deferTimer;
-    return function throttle_inner() {
-        var context = scope || this;
-
-        var now = (new Date()).getTime(),
-            args = arguments;
-        if (last && now < last + threshhold) {
-            clearTimeout( deferTimer );
-            deferTimer = setTimeout( function throttle() {
-                last = now;
-                fn.apply( context, args );
-            }, threshhold );
-        } else {
-            last = now;
-            fn.apply( context, args );
-        }
-    };
+    var options = getDebounceOptions( scope ) || { "scope": scope };
+    return createDebounced( fn, threshhold, {
+        "leading": options.leading !== false,
+        "maxWait": threshhold,
+        "scope": options.scope,
+        "trailing": options.trailing !== false
+    });
 }
 
 /**
@@ -775,14 +1924,37 @@ export function toggleClass( el, cls ){
 }
 
 /**
- * Unescapes a value from jinja
+ * Unescapes a value from jinja. It is parsed in a document of its own, so
+ * markup in it can't run anything
  * @param  {*} value
  * @return {*}
  */
 export function unescapeJinjaValue(value){
-    var tmp = document.createElement("div");
+    var tmp = document.implementation.createHTMLDocument("").createElement("div");
     tmp.innerHTML = value;
     var unescaped = tmp.textContent;
     tmp = null;
     return unescaped;
 }
+
+/**
+ * Waits for a global to exist. Dotted names check nested properties
+ * @param  {String} name      e.g. "googletag" or "googletag.apiReady"
+ * @param  {Number} [timeout=10000] Milliseconds before it rejects, Infinity
+ *                                  waits forever
+ * @return {Promise} Resolves with the value of the global
+ */
+export function waitForGlobal( name, timeout ){
+    var limit = timeout > 0 ? timeout : GLOBAL_TIMEOUT;
+    return new Promise(function waitForGlobal_promise( resolve, reject ){
+        var start = Date.now();
+        (function check(){
+            var value = getGlobal( name );
+            if( isDefined( value ) ) return resolve( value );
+            if( Date.now() - start >= limit ){
+                return reject( new Error( "Timed out waiting for global: " + name ) );
+            }
+            setTimeout( check, 50 );
+        })();
+    });
+}
@@ -0,0 +1,273 @@
+"use strict";
+
+/**
+ * @module html
+ */
+
+var DEFAULT_TAGS = [
+    "a", "abbr", "b", "blockquote", "br", "caption", "cite", "code", "del",
+    "div", "em", "figcaption", "figure", "h1", "h2", "h3", "h4", "h5", "h6",
+    "hr", "i", "img", "ins", "li", "mark", "ol", "p", "pre", "q", "s", "small",
+    "span", "strong", "sub", "sup", "table", "tbody", "td", "tfoot", "th",
+    "thead", "time", "tr", "u", "ul"
+];
+
+var DEFAULT_ATTRIBUTES = {
+    "*": [ "class", "dir", "lang", "title" ],
+    "a": [ "href", "rel", "target" ],
+    "blockquote": [ "cite" ],
+    "img": [ "alt", "height", "loading", "sizes", "src", "srcset", "width" ],
+    "q": [ "cite" ],
+    "td": [ "colspan", "rowspan" ],
+    "th": [ "colspan", "rowspan", "scope" ],
+    "time": [ "datetime" ]
+};
+
+// Removed along with everything inside them, rather than unwrapped
+var DROP_TAGS = [
+    "applet", "base", "embed", "frame", "frameset", "iframe", "link", "math",
+    "meta", "noscript", "object", "script", "style", "svg", "template",
+    "textarea", "title"
+];
+
+var URL_ATTRIBUTES = [ "action", "cite", "formaction", "href", "poster", "src",
+    "srcset", "xlink:href" ];
+
+var IGNORED_URL_CHARACTERS = /[\u0000-\u0020\u007f-\u009f]/g;
+var UNSAFE_URL = /^(?:javascript|vbscript|data):/i;
+
+/**
+ * Escapes a value for use in an attribute. The attribute must be quoted
+ * @param  {*} value
+ * @return {String}
+ */
+export function escapeAttribute( value ){
+    return escapeHtml( value ).replace( /`/g, "&#96;" ).replace( /=/g, "&#61;" );
+}
+
+/**
+ * Escapes a value so it shows as text when used as html
+ * @param  {*} value
+ * @return {String}
+ */
+export function escapeHtml( value ){
+    if( value === null || value === undefined ) return "";
+    return String( value )
+        .replace( /&/g, "&amp;" )
+        .replace( /</g, "&lt;" )
+        .replace( />/g, "&gt;" )
+        .replace( /"/g, "&quot;" )
+        .replace( /'/g, "&#39;" );
+}
+
+/**
+ * Tagged template that escapes everything interpolated into it and builds a
+ * DocumentFragment. Nodes and fragments, including ones from other html
+ * calls, are inserted as they are, arrays are inserted item by item. Values
+ * are escaped as attributes, so one in an unquoted attribute can't set an
+ * event handler or any other attribute value, but quote them anyway. Url attributes with
+ * javascript:, vbscript: or data: urls are removed, as sanitizeHtml does.
+ *
+ *     var fragment = html`<p class="${cls}">${title}</p>`;
+ * @param  {Array} strings
+ * @return {DocumentFragment}
+ */
+export function html( strings ){
+    var nodes = [];
+    var markup = strings[ 0 ];
+    for( var i = 1; i < strings.length; i++ ){
+        markup += interpolate( arguments[ i ], nodes ) + strings[ i ];
+    }
+    var fragment = parseFragment( markup );
+    removeUnsafeUrls( fragment );
+    if( nodes.length > 0 ) replacePlaceholders( fragment, nodes );
+    return fragment;
+}
+
+/**
+ * Removes everything from html that isn't allowed. Scripts, styles, frames
+ * and the like are removed with their content, other tags that aren't
+ * allowed are replaced by their content. Event handler attributes and
+ * javascript:, vbscript: and data: urls are always removed.
+ * @param  {String} markup
+ * @param  {Object} [options]
+ * @param  {Array}  [options.tags]       Allowed tag names
+ * @param  {Object} [options.attributes] Tag names mapped to allowed attributes,
+ *                                       "*" applies to every tag
+ * @return {String}
+ */
+export function sanitizeHtml( markup, options ){
+    var opts = options || {};
+    var doc = document.implementation.createHTMLDocument( "" );
+    doc.body.innerHTML = markup === null || markup === undefined ? "" : String( markup );
+    sanitizeChildren( doc.body, opts.tags || DEFAULT_TAGS,
+        opts.attributes || DEFAULT_ATTRIBUTES );
+    return doc.body.innerHTML;
+}
+
+/**
+ * Turns an interpolated value into markup, storing nodes to insert later
+ * @private
+ * @param  {*} value
+ * @param  {Array} nodes
+ * @return {String}
+ */
+function interpolate( value, nodes ){
+    if( Array.isArray( value ) ){
+        var result = "";
+        for( var i = 0; i < value.length; i++ ){
+            result += interpolate( value[ i ], nodes );
+        }
+        return result;
+    }
+    if( value && typeof value === "object" && typeof value.nodeType === "number" ){
+        nodes.push( value );
+        return "<!--html:" + ( nodes.length - 1 ) + "-->";
+    }
+    return escapeAttribute( value );
+}
+
+/**
+ * Checks if the attribute is allowed on the tag
+ * @private
+ * @param  {String}  tag
+ * @param  {String}  name
+ * @param  {Object}  attributes
+ * @return {Boolean}
+ */
+function isAllowedAttribute( tag, name, attributes ){
+    return ( attributes[ "*" ] || [] ).indexOf( name ) !== -1 ||
+        ( attributes[ tag ] || [] ).indexOf( name ) !== -1;
+}
+
+/**
+ * Checks if the url in an attribute is safe. Whitespace and control
+ * characters are ignored as browsers ignore them too. Every candidate in a
+ * srcset is checked
+ * @private
+ * @param  {String}  name
+ * @param  {String}  value
+ * @return {Boolean}
+ */
+function isSafeUrl( name, value ){
+    var urls = name === "srcset" ? value.split( "," ) : [ value ];
+    for( var i = 0; i < urls.length; i++ ){
+        if( UNSAFE_URL.test( urls[ i ].replace( IGNORED_URL_CHARACTERS, "" ) ) ){
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Parses markup into a DocumentFragment
+ * @private
+ * @param  {String} markup
+ * @return {DocumentFragment}
+ */
+function parseFragment( markup ){
+    var template = document.createElement( "template" );
+    if( "content" in template ){
+        template.innerHTML = markup;
+        return template.content;
+    }
+    var fragment = document.createDocumentFragment();
+    var tmp = document.createElement( "div" );
+    tmp.innerHTML = markup;
+    while( tmp.firstChild ){
+        fragment.appendChild( tmp.firstChild );
+    }
+    return fragment;
+}
+
+/**
+ * Removes the url attributes with unsafe urls from the elements in the root
+ * @private
+ * @param  {DocumentFragment} root
+ */
+function removeUnsafeUrls( root ){
+    var elements = root.querySelectorAll( "*" );
+    for( var i = 0; i < elements.length; i++ ){
+        for( var j = elements[ i ].attributes.length - 1; j >= 0; j-- ){
+            var name = elements[ i ].attributes[ j ].name.toLowerCase();
+            if( URL_ATTRIBUTES.indexOf( name ) !== -1 &&
+                !isSafeUrl( name, elements[ i ].attributes[ j ].value ) ){
+                elements[ i ].removeAttribute( elements[ i ].attributes[ j ].name );
+            }
+        }
+    }
+}
+
+/**
+ * Swaps the placeholder comments for the nodes they stand for
+ * @private
+ * @param  {Node} root
+ * @param  {Array} nodes
+ */
+function replacePlaceholders( root, nodes ){
+    var child = root.firstChild;
+    while( child ){
+        var next = child.nextSibling;
+        if( child.nodeType === 8 && /^html:\d+$/.test( child.nodeValue ) ){
+            child.parentNode.replaceChild( nodes[ parseInt( child.nodeValue.slice( 5 ), 10 ) ], child );
+        } else if( child.firstChild ){
+            replacePlaceholders( child, nodes );
+        }
+        child = next;
+    }
+}
+
+/**
+ * Removes the attributes that aren't allowed or are unsafe
+ * @private
+ * @param  {HTMLElement} el
+ * @param  {String} tag
+ * @param  {Object} attributes
+ */
+function sanitizeAttributes( el, tag, attributes ){
+    for( var i = el.attributes.length - 1; i >= 0; i-- ){
+        var name = el.attributes[ i ].name.toLowerCase();
+        var value = el.attributes[ i ].value;
+        if( name.indexOf( "on" ) === 0 ||
+            !isAllowedAttribute( tag, name, attributes ) ||
+            ( URL_ATTRIBUTES.indexOf( name ) !== -1 && !isSafeUrl( name, value ) ) ){
+            el.removeAttribute( el.attributes[ i ].name );
+        }
+    }
+    if( tag === "a" && el.getAttribute( "target" ) === "_blank" ){
+        el.setAttribute( "rel", "noopener noreferrer" );
+    }
+}
+
+/**
+ * Sanitizes the children of the node
+ * @private
+ * @param  {Node} node
+ * @param  {Array} tags
+ * @param  {Object} attributes
+ */
+function sanitizeChildren( node, tags, attributes ){
+    var child = node.firstChild;
+    while( child ){
+        var next = child.nextSibling;
+        if( child.nodeType === 1 ){
+            var tag = child.nodeName.toLowerCase();
+            if( DROP_TAGS.indexOf( tag ) !== -1 ){
+                node.removeChild( child );
+            } else {
+                sanitizeChildren( child, tags, attributes );
+                if( tags.indexOf( tag ) === -1 ){
+                    while( child.firstChild ){
+                        node.insertBefore( child.firstChild, child );
+                    }
+                    node.removeChild( child );
+                } else {
+                    sanitizeAttributes( child, tag, attributes );
+                }
+            }
+        } else if( child.nodeType !== 3 ){
+            node.removeChild( child );
+        }
+        child = next;
+    }
+}
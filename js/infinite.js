@@ -0,0 +1,306 @@
+"use strict";
+
+/**
+ * @module infinite
+ */
+
+import { EventEmitter } from "./events";
+import {
+    addHtml,
+    ajax,
+    isArticleAdSlot,
+    isDefined,
+    isSplashAdSlot,
+    removeElement
+} from "./functions";
+import { getState, replaceState } from "./url";
+import { observeVisibility } from "./visibility";
+
+// A band across the middle of the viewport, the item in it is the current one
+var ARTICLE_MARGIN = "-49% 0px -50% 0px";
+
+/**
+ * Loads the next article or tag page when the reader nears the end of the
+ * container, for the "article-infinite" and "tag-infinite" placements.
+ *
+ * Pages are fetched as html and appended to the container. Items are the
+ * elements matching itemSelector, with data-url and data-title attributes.
+ * The url of the page after them is read from data-next-url on the last
+ * item. As the reader scrolls between items the url and title are replaced
+ * with the items.
+ *
+ * Emits "load" with { data, url } when a page has been fetched, "append"
+ * with { count, items, placement, url } once it has been added,
+ * "article-change" with { item, previous, title, url }, "error" with
+ * { error, url } when it failed after retrying, call load to try again, and
+ * "complete" with { count } when there is nothing more to load.
+ * @constructor
+ * @extends module:events.EventEmitter
+ * @param  {Object} options
+ * @param  {HTMLElement} options.container
+ * @param  {String} [options.placement="article-infinite"] An article or
+ *                                                          splash placement
+ * @param  {String} [options.nextUrl] The first page to load, defaults to
+ *                                    data-next-url on the container or its
+ *                                    last item
+ * @param  {String} [options.itemSelector="[data-url]"]
+ * @param  {Number} [options.maxItems=Infinity] Stop once this many items
+ *                                              have been loaded
+ * @param  {Number/Object} [options.retry=2] Passed to ajax
+ * @param  {HTMLElement} [options.sentinel] Loads when this is near the
+ *                                          viewport, an element after the
+ *                                          container by default
+ * @param  {String} [options.rootMargin="0px 0px 800px 0px"] How near
+ * @param  {Boolean/Object} [options.sanitize=false] Passed to addHtml
+ * @param  {Boolean} [options.updateUrl=true] Replace the url and title as
+ *                                            the current item changes
+ */
+export function InfiniteLoader( options ){
+    EventEmitter.call( this );
+    var opts = options || {};
+    var placement = opts.placement || "article-infinite";
+    if( !isArticleAdSlot( placement ) && !isSplashAdSlot( placement ) ){
+        throw new Error( "InfiniteLoader needs an article or splash placement, not " + placement );
+    }
+    this.container = opts.container;
+    this.count = 0;
+    this.current = null;
+    this.done = false;
+    this.loading = false;
+    this.placement = placement;
+    this._itemObservers = [];
+    this._options = opts;
+    this._append = addHtml( this.container, {
+        "sanitize": opts.sanitize || false
+    });
+    this._ownSentinel = !opts.sentinel;
+    this.sentinel = opts.sentinel || createSentinel( this.container );
+    this._unobserveSentinel = null;
+
+    var items = getItems( this.container, this.container.firstChild, this._options );
+    this.nextUrl = opts.nextUrl ||
+        this.container.getAttribute( "data-next-url" ) ||
+        getNextUrl( items );
+    observeItems( this, items );
+    if( !this.nextUrl ){
+        complete( this );
+    } else {
+        observeSentinel( this );
+    }
+}
+
+InfiniteLoader.prototype = Object.create( EventEmitter.prototype );
+InfiniteLoader.prototype.constructor = InfiniteLoader;
+
+/**
+ * Stops loading and watching the items, and removes the listeners
+ * @alias module:infinite.InfiniteLoader#destroy
+ */
+InfiniteLoader.prototype.destroy = function destroy(){
+    this.done = true;
+    if( this._unobserveSentinel ) this._unobserveSentinel();
+    this._unobserveSentinel = null;
+    while( this._itemObservers.length > 0 ){
+        this._itemObservers.pop()();
+    }
+    if( this._ownSentinel ) removeElement( this.sentinel );
+    this.off();
+};
+
+/**
+ * Loads the next page now, unless one is loading or there are no more
+ * @return {Promise} Resolves with the items appended
+ * @alias module:infinite.InfiniteLoader#load
+ */
+InfiniteLoader.prototype.load = function load(){
+    var loader = this;
+    var url = loader.nextUrl;
+    if( loader.loading || loader.done || !url ) return Promise.resolve( [] );
+    loader.loading = true;
+    return ajax({
+        "responseType": "text",
+        "retry": isDefined( loader._options.retry ) ? loader._options.retry : 2,
+        "url": url
+    }).then(function loaded( response ){
+        loader.loading = false;
+        if( loader.done ) return [];
+        loader.emit( "load", {
+            "data": response.data,
+            "url": url
+        });
+        var last = loader.container.lastChild;
+        loader._append( response.data );
+        var start = last ? last.nextSibling : loader.container.firstChild;
+        var items = getItems( loader.container, start, loader._options );
+        var maxItems = isDefined( loader._options.maxItems ) ? loader._options.maxItems : Infinity;
+        if( loader.count + items.length > maxItems ){
+            removeExtraItems( loader.container, start, items,
+                items.splice( Math.max( 0, maxItems - loader.count ) ) );
+        }
+        loader.count += items.length;
+        loader.nextUrl = getNextUrl( items );
+        observeItems( loader, items );
+        loader.emit( "append", {
+            "count": loader.count,
+            "items": items,
+            "placement": loader.placement,
+            "url": url
+        });
+        if( !loader.nextUrl || loader.count >= maxItems ){
+            complete( loader );
+        } else {
+            observeSentinel( loader );
+        }
+        return items;
+    }, function failed( error ){
+        loader.loading = false;
+        loader.emit( "error", {
+            "error": error,
+            "url": url
+        });
+        return [];
+    });
+};
+
+/**
+ * Stops loading, there is nothing more to load
+ * @private
+ * @param  {InfiniteLoader} loader
+ */
+function complete( loader ){
+    if( loader._unobserveSentinel ) loader._unobserveSentinel();
+    loader._unobserveSentinel = null;
+    loader.emit( "complete", {
+        "count": loader.count
+    });
+}
+
+/**
+ * Creates the element after the container that triggers loading
+ * @private
+ * @param  {HTMLElement} container
+ * @return {HTMLElement}
+ */
+function createSentinel( container ){
+    var sentinel = document.createElement( "div" );
+    sentinel.setAttribute( "aria-hidden", "true" );
+    container.parentNode.insertBefore( sentinel, container.nextSibling );
+    return sentinel;
+}
+
+/**
+ * Gets the items from the node onwards
+ * @private
+ * @param  {HTMLElement} container
+ * @param  {Node} start
+ * @param  {Object} options
+ * @return {Array}
+ */
+function getItems( container, start, options ){
+    var selector = options.itemSelector || "[data-url]";
+    var items = [];
+    for( var node = start; node; node = node.nextSibling ){
+        if( node.nodeType !== 1 ) continue;
+        if( node.matches( selector ) ){
+            items.push( node );
+        } else {
+            items.push.apply( items, node.querySelectorAll( selector ) );
+        }
+    }
+    return items;
+}
+
+/**
+ * Gets the url of the page after the items
+ * @private
+ * @param  {Array} items
+ * @return {String/Null}
+ */
+function getNextUrl( items ){
+    var last = items[ items.length - 1 ];
+    return last && last.getAttribute( "data-next-url" ) || null;
+}
+
+/**
+ * Watches the items to know which one is being read
+ * @private
+ * @param  {InfiniteLoader} loader
+ * @param  {Array} items
+ */
+function observeItems( loader, items ){
+    if( !loader.current && items.length > 0 ) loader.current = items[ 0 ];
+    for( var i = 0; i < items.length; i++ ){
+        loader._itemObservers.push( observeVisibility( items[ i ], {
+            "rootMargin": ARTICLE_MARGIN
+        }, onItemVisibility ) );
+    }
+
+    function onItemVisibility( e ){
+        if( e.direction === "enter" && e.element !== loader.current ){
+            setCurrent( loader, e.element );
+        }
+    }
+}
+
+/**
+ * Watches the sentinel again, so it loads straight away if it is still near
+ * the viewport
+ * @private
+ * @param  {InfiniteLoader} loader
+ */
+function observeSentinel( loader ){
+    if( loader._unobserveSentinel ) loader._unobserveSentinel();
+    loader._unobserveSentinel = observeVisibility( loader.sentinel, {
+        "rootMargin": loader._options.rootMargin || "0px 0px 800px 0px"
+    }, function onSentinelVisibility( e ){
+        if( e.direction === "enter" ) loader.load();
+    });
+}
+
+/**
+ * Removes the items past maxItems. The nodes appended after the last item
+ * kept go with them, so wrappers aren't left empty
+ * @private
+ * @param  {HTMLElement} container
+ * @param  {Node} start The first node appended
+ * @param  {Array} kept
+ * @param  {Array} extra
+ */
+function removeExtraItems( container, start, kept, extra ){
+    var node = start;
+    if( kept.length > 0 ){
+        node = kept[ kept.length - 1 ];
+        while( node.parentNode !== container ) node = node.parentNode;
+        node = node.nextSibling;
+    }
+    while( node ){
+        var next = node.nextSibling;
+        container.removeChild( node );
+        node = next;
+    }
+    for( var i = 0; i < extra.length; i++ ){
+        if( container.contains( extra[ i ] ) ) removeElement( extra[ i ] );
+    }
+}
+
+/**
+ * Makes the item the one being read, updating the url and title
+ * @private
+ * @param  {InfiniteLoader} loader
+ * @param  {HTMLElement} item
+ */
+function setCurrent( loader, item ){
+    var previous = loader.current;
+    var url = item.getAttribute( "data-url" );
+    var title = item.getAttribute( "data-title" );
+    loader.current = item;
+    if( url && loader._options.updateUrl !== false ){
+        replaceState( getState(), title, url );
+    }
+    loader.emit( "article-change", {
+        "item": item,
+        "previous": previous,
+        "title": title,
+        "url": url
+    });
+}
@@ -0,0 +1,169 @@
+"use strict";
+
+/**
+ * @module options
+ */
+
+import { hasOwnProperty, isDefined, toBoolean, unescapeJinjaValue } from "./functions";
+
+var FALSE_VALUES = [ "false", "0", "no", "off" ];
+
+/**
+ * Reads a components options from its data attributes. Each option is read
+ * from data-<option-name>, after any JSON in data-options, and the overrides
+ * win over both. Values that are invalid are reported in errors and the
+ * default used instead, nothing is thrown.
+ *
+ * Types are "boolean", "number", "string", "json", "enum" and "list".
+ * Booleans are true when the attribute is there with no value and false for
+ * "false", "0", "no" and "off". JSON escaped by Jinja is unescaped. Lists are
+ * split on commas.
+ *
+ *     readOptions( el, {
+ *         "autoplay": { "type": "boolean" },
+ *         "delay": { "type": "number", "default": 3000, "min": 0 },
+ *         "theme": { "type": "enum", "values": [ "light", "dark" ], "default": "light" }
+ *     });
+ * @param  {HTMLElement} el
+ * @param  {Object} schema Option names mapped to { type, default, required,
+ *                         attribute, values, min, max, separator }
+ * @param  {Object} [overrides]
+ * @return {Object} { errors, options } errors being { message, name, value }
+ */
+export function readOptions( el, schema, overrides ){
+    var errors = [];
+    var options = {};
+    var blob = readOptionsBlob( el, errors );
+    for( var name in schema ){
+        if( hasOwnProperty( schema, name ) ){
+            var rule = schema[ name ];
+            var attribute = rule.attribute || "data-" + toKebabCase( name );
+            var value = null;
+            if( overrides && hasOwnProperty( overrides, name ) ){
+                value = overrides[ name ];
+            } else if( el.hasAttribute( attribute ) ){
+                value = el.getAttribute( attribute );
+            } else if( hasOwnProperty( blob, name ) ){
+                value = blob[ name ];
+            }
+            options[ name ] = readOption( name, value, rule, errors );
+        }
+    }
+    return {
+        "errors": errors,
+        "options": options
+    };
+}
+
+/**
+ * Parses JSON, unescaping it first if Jinja escaped it
+ * @private
+ * @param  {String} value
+ * @return {*} Undefined if it isn't valid JSON
+ */
+function parseJson( value ){
+    try {
+        return JSON.parse( value );
+    } catch( e ){}
+    try {
+        return JSON.parse( unescapeJinjaValue( value ) );
+    } catch( e ){}
+}
+
+/**
+ * Coerces and validates an option, recording an error and returning the
+ * default when it is invalid
+ * @private
+ * @param  {String} name
+ * @param  {*} value
+ * @param  {Object} rule
+ * @param  {Array} errors
+ * @return {*}
+ */
+function readOption( name, value, rule, errors ){
+    function invalid( message ){
+        errors.push({
+            "message": message,
+            "name": name,
+            "value": value
+        });
+        return rule.default;
+    }
+
+    if( !isDefined( value ) ){
+        return rule.required ? invalid( name + " is required" ) : rule.default;
+    }
+    var isString = typeof value === "string";
+    var result = null;
+    switch( rule.type || "string" ){
+        case "boolean":
+            if( !isString ) return toBoolean( value );
+            if( value === "" ) return true;
+            return FALSE_VALUES.indexOf( value.toLowerCase() ) === -1 && toBoolean( value );
+        case "number":
+            // Number rather than parseFloat, so "3000px" isn't taken as 3000
+            result = isString && value.trim() !== "" ? Number( value ) : value;
+            if( typeof result !== "number" || isNaN( result ) ){
+                return invalid( name + " must be a number" );
+            }
+            if( isDefined( rule.min ) && result < rule.min ){
+                return invalid( name + " must be at least " + rule.min );
+            }
+            if( isDefined( rule.max ) && result > rule.max ){
+                return invalid( name + " must be at most " + rule.max );
+            }
+            return result;
+        case "string":
+            return String( value );
+        case "json":
+            if( !isString ) return value;
+            result = parseJson( value );
+            return result === undefined ? invalid( name + " must be valid JSON" ) : result;
+        case "enum":
+            if( ( rule.values || [] ).indexOf( value ) === -1 ){
+                return invalid( name + " must be one of " + ( rule.values || [] ).join( ", " ) );
+            }
+            return value;
+        case "list":
+            if( Array.isArray( value ) ) return value;
+            return String( value ).split( rule.separator || "," ).map(function trimItem( item ){
+                return item.trim();
+            }).filter(function isNotEmpty( item ){
+                return item !== "";
+            });
+        default:
+            return invalid( name + " has an unknown type " + rule.type );
+    }
+}
+
+/**
+ * Reads the JSON in data-options
+ * @private
+ * @param  {HTMLElement} el
+ * @param  {Array} errors
+ * @return {Object}
+ */
+function readOptionsBlob( el, errors ){
+    var value = el.getAttribute( "data-options" );
+    if( !value ) return {};
+    var blob = parseJson( value );
+    if( blob && typeof blob === "object" && !Array.isArray( blob ) ) return blob;
+    errors.push({
+        "message": "data-options must be a JSON object",
+        "name": "options",
+        "value": value
+    });
+    return {};
+}
+
+/**
+ * Turns camelCase into kebab-case
+ * @private
+ * @param  {String} name
+ * @return {String}
+ */
+function toKebabCase( name ){
+    return name.replace( /[A-Z]/g, function toKebabCase_replace( chr ){
+        return "-" + chr.toLowerCase();
+    });
+}
@@ -0,0 +1,233 @@
+"use strict";
+
+/**
+ * @module scroll
+ */
+
+import { easeInOutQuad } from "./easing";
+import {
+    addEvent,
+    clamp,
+    getElementOffset,
+    getScrollLeft,
+    getScrollTop,
+    removeEvent
+} from "./functions";
+import { tween } from "./tween";
+
+var USER_EVENTS = [ "keydown", "mousedown", "touchstart", "wheel" ];
+
+var animations = [];
+
+/**
+ * Smoothly scrolls the window or a container to an element or position. The
+ * position is clamped to how far it can scroll. It stops if the user scrolls,
+ * and jumps straight there when they prefer reduced motion.
+ *
+ * The promise has a `cancel()` method. A new scroll of the same container
+ * cancels the one before it.
+ * @param  {HTMLElement/String/Number} target An element, a selector or a
+ *                                            position in pixels
+ * @param  {Object} [options]
+ * @param  {Number} [options.duration=400]    Milliseconds
+ * @param  {String/Function} [options.easing="easeInOutQuad"] An easing or
+ *                                            its name, see the easing module
+ * @param  {Number/Function} [options.offset=0] Pixels to stop before the
+ *                                              target, for a sticky nav. A
+ *                                              function is called each time
+ * @param  {HTMLElement/String} [options.container=window]
+ * @param  {String} [options.axis="y"]        "x" or "y"
+ * @return {Promise} Resolves with true once there, or false if it was
+ *                   cancelled
+ */
+export function scrollTo( target, options ){
+    var opts = options || {};
+    var container = getContainer( opts.container );
+    var axis = opts.axis === "x" ? "x" : "y";
+    var duration = prefersReducedMotion() ? 0 : ( opts.duration >= 0 ? opts.duration : 400 );
+    var animation = {
+        "axis": axis,
+        "container": container,
+        "finish": null,
+        "tween": null
+    };
+
+    cancelAnimations( container, axis );
+
+    var promise = new Promise(function scrollTo_promise( resolve ){
+        var start = getPosition( container, axis );
+        var end = getTargetPosition( target, container, axis, opts.offset );
+        var last = start;
+
+        function onUserEvent(){
+            animation.finish( false );
+        }
+
+        animation.finish = function finish( completed ){
+            if( animation.tween ) animation.tween.stop();
+            animation.tween = null;
+            for( var i = 0; i < USER_EVENTS.length; i++ ){
+                removeEvent( container, USER_EVENTS[ i ], onUserEvent );
+            }
+            var index = animations.indexOf( animation );
+            if( index !== -1 ) animations.splice( index, 1 );
+            resolve( completed );
+        };
+
+        if( end === null ) return resolve( false );
+        if( duration === 0 || start === end ){
+            setPosition( container, axis, end );
+            return resolve( true );
+        }
+
+        for( var i = 0; i < USER_EVENTS.length; i++ ){
+            addEvent( container, USER_EVENTS[ i ], onUserEvent );
+        }
+        animations.push( animation );
+        animation.tween = tween({
+            "duration": duration,
+            "easing": opts.easing || easeInOutQuad,
+            "from": start,
+            "onComplete": function scrollTo_complete(){
+                animation.tween = null;
+                animation.finish( true );
+            },
+            "onUpdate": function scrollTo_update( value ){
+                if( Math.abs( getPosition( container, axis ) - last ) > 1 ){
+                    return animation.finish( false );
+                }
+                last = Math.round( value );
+                setPosition( container, axis, last );
+            },
+            "to": end
+        });
+    });
+
+    /**
+     * Stops scrolling where it is, resolving with false
+     */
+    promise.cancel = function cancel(){
+        if( animation.finish ) animation.finish( false );
+    };
+
+    return promise;
+}
+
+/**
+ * Cancels the animations scrolling the container along the axis
+ * @private
+ * @param  {HTMLElement/Window} container
+ * @param  {String} axis
+ */
+function cancelAnimations( container, axis ){
+    var running = animations.slice();
+    for( var i = 0; i < running.length; i++ ){
+        if( running[ i ].container === container && running[ i ].axis === axis ){
+            running[ i ].finish( false );
+        }
+    }
+}
+
+/**
+ * Gets the container to scroll
+ * @private
+ * @param  {HTMLElement/String} container
+ * @return {HTMLElement/Window}
+ */
+function getContainer( container ){
+    if( typeof container === "string" ) container = document.querySelector( container );
+    if( !container || container === document || container === document.body ||
+        container === document.documentElement ){
+        return window;
+    }
+    return container;
+}
+
+/**
+ * Gets the furthest the container can scroll
+ * @private
+ * @param  {HTMLElement/Window} container
+ * @param  {String} axis
+ * @return {Number}
+ */
+function getMaxPosition( container, axis ){
+    if( container === window ){
+        var docElement = document.documentElement;
+        var body = document.body;
+        return axis === "x" ?
+            Math.max( docElement.scrollWidth, body.scrollWidth ) - docElement.clientWidth :
+            Math.max( docElement.scrollHeight, body.scrollHeight ) - ( window.innerHeight || docElement.clientHeight );
+    }
+    return axis === "x" ?
+        container.scrollWidth - container.clientWidth :
+        container.scrollHeight - container.clientHeight;
+}
+
+/**
+ * Gets the scroll position of the container
+ * @private
+ * @param  {HTMLElement/Window} container
+ * @param  {String} axis
+ * @return {Number}
+ */
+function getPosition( container, axis ){
+    return axis === "x" ? getScrollLeft( container ) : getScrollTop( container );
+}
+
+/**
+ * Gets the position to scroll to, or null if the target can't be found
+ * @private
+ * @param  {HTMLElement/String/Number} target
+ * @param  {HTMLElement/Window} container
+ * @param  {String} axis
+ * @param  {Number/Function} offset
+ * @return {Number/Null}
+ */
+function getTargetPosition( target, container, axis, offset ){
+    var position = null;
+    if( typeof target === "string" ) target = document.querySelector( target );
+    if( typeof target === "number" ){
+        position = target;
+    } else if( target && container === window ){
+        position = getElementOffset( target )[ axis === "x" ? "left" : "top" ];
+    } else if( target ){
+        var side = axis === "x" ? "left" : "top";
+        position = target.getBoundingClientRect()[ side ] -
+            container.getBoundingClientRect()[ side ] +
+            getPosition( container, axis );
+    }
+    if( position === null ) return null;
+    position -= ( typeof offset === "function" ? offset() : offset ) || 0;
+    return Math.round( clamp( 0, Math.max( 0, getMaxPosition( container, axis ) ), position ) );
+}
+
+/**
+ * Checks if the user asked for less motion
+ * @private
+ * @return {Boolean}
+ */
+function prefersReducedMotion(){
+    return typeof window.matchMedia === "function" &&
+        window.matchMedia( "(prefers-reduced-motion: reduce)" ).matches;
+}
+
+/**
+ * Sets the scroll position of the container
+ * @private
+ * @param  {HTMLElement/Window} container
+ * @param  {String} axis
+ * @param  {Number} value
+ */
+function setPosition( container, axis, value ){
+    if( container === window ){
+        if( axis === "x" ){
+            window.scrollTo( value, getScrollTop( window ) );
+        } else {
+            window.scrollTo( getScrollLeft( window ), value );
+        }
+    } else if( axis === "x" ){
+        container.scrollLeft = value;
+    } else {
+        container.scrollTop = value;
+    }
+}
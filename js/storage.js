@@ -0,0 +1,324 @@
+"use strict";
+
+/**
+ * @module storage
+ */
+
+import { EventEmitter } from "./events";
+import { addEvent, getNamespaceKey, hasOwnProperty, isDefined, removeEvent } from "./functions";
+
+var VERSION_KEY = "__version";
+
+var memoryStorage = createMemoryStorage();
+
+/**
+ * Creates a store for the brand, keeping its keys apart from everything else
+ * in the storage. Values are saved as JSON.
+ *
+ * If the backend can't be used, Safari private mode for example, the store
+ * uses memory instead. If a write goes over the quota the expired values are
+ * removed and it is tried again, failing that the value is kept in memory.
+ *
+ * The store is an EventEmitter. It emits "change" with { external, key,
+ * newValue, oldValue } when a value is set or removed, external being true
+ * when another tab wrote to the same namespace.
+ * @param  {String} abbr  The brand abbreviation
+ * @param  {Object} [options]
+ * @param  {String} [options.backend="local"] "local", "session" or "memory"
+ * @param  {Number} [options.version]     The schema version
+ * @param  {Object} [options.migrations]  Versions mapped to functions that
+ *                                        upgrade the store to them, run in
+ *                                        order when the stored version is older
+ * @return {Object} { backend, clear, destroy, get, has, keys, remove,
+ *                  removeExpired, set }
+ *                  and the EventEmitter methods
+ */
+export function createStore( abbr, options ){
+    var opts = options || {};
+    var prefix = getNamespaceKey( abbr ) + ":";
+    var backend = getBackend( opts.backend || "local" );
+    var overflow = {};
+    var store = new EventEmitter();
+
+    store.backend = backend === memoryStorage ? "memory" : opts.backend || "local";
+
+    function read( key ){
+        var raw = hasOwnProperty( overflow, key ) ?
+            overflow[ key ] :
+            safeGetItem( backend, prefix + key );
+        var entry = parseEntry( raw );
+        if( entry && entry.expires && entry.expires <= Date.now() ){
+            removeRaw( key );
+            return null;
+        }
+        return entry;
+    }
+
+    function removeRaw( key ){
+        delete overflow[ key ];
+        try {
+            backend.removeItem( prefix + key );
+        } catch( e ){}
+    }
+
+    function write( key, raw ){
+        try {
+            backend.setItem( prefix + key, raw );
+            delete overflow[ key ];
+            return;
+        } catch( e ){}
+        store.removeExpired();
+        try {
+            backend.setItem( prefix + key, raw );
+            delete overflow[ key ];
+        } catch( e ){
+            overflow[ key ] = raw;
+        }
+    }
+
+    /**
+     * Removes every value in the namespace
+     */
+    store.clear = function clear(){
+        var keys = store.keys();
+        for( var i = 0; i < keys.length; i++ ){
+            store.remove( keys[ i ] );
+        }
+    };
+
+    /**
+     * Stops listening to other tabs and removes the listeners
+     */
+    store.destroy = function destroy(){
+        removeEvent( window, "storage", onStorage );
+        store.off();
+    };
+
+    /**
+     * Gets a value
+     * @param  {String} key
+     * @param  {*} [defaultValue] Returned if there is no value or it expired
+     * @return {*}
+     */
+    store.get = function get( key, defaultValue ){
+        var entry = read( key );
+        return entry ? entry.value : defaultValue;
+    };
+
+    /**
+     * Checks if there is a value that hasn't expired
+     * @param  {String} key
+     * @return {Boolean}
+     */
+    store.has = function has( key ){
+        return read( key ) !== null;
+    };
+
+    /**
+     * Gets the keys in the namespace, without the prefix
+     * @return {Array}
+     */
+    store.keys = function keys(){
+        var result = [];
+        try {
+            for( var i = 0; i < backend.length; i++ ){
+                var name = backend.key( i );
+                if( name && name.indexOf( prefix ) === 0 &&
+                    name !== prefix + VERSION_KEY ){
+                    result.push( name.slice( prefix.length ) );
+                }
+            }
+        } catch( e ){}
+        for( var key in overflow ){
+            if( hasOwnProperty( overflow, key ) && result.indexOf( key ) === -1 ){
+                result.push( key );
+            }
+        }
+        return result;
+    };
+
+    /**
+     * Removes a value
+     * @param  {String} key
+     */
+    store.remove = function remove( key ){
+        var old = store.get( key );
+        removeRaw( key );
+        store.emit( "change", {
+            "external": false,
+            "key": key,
+            "newValue": undefined,
+            "oldValue": old
+        });
+    };
+
+    /**
+     * Removes every value that has expired
+     */
+    store.removeExpired = function removeExpired(){
+        var keys = store.keys();
+        for( var i = 0; i < keys.length; i++ ){
+            read( keys[ i ] );
+        }
+    };
+
+    /**
+     * Sets a value
+     * @param  {String} key
+     * @param  {*} value  Anything JSON can serialise
+     * @param  {Object} [setOptions]
+     * @param  {Number/Date} [setOptions.expires] Milliseconds from now or a date
+     */
+    store.set = function set( key, value, setOptions ){
+        var old = store.get( key );
+        var expires = setOptions && setOptions.expires;
+        if( expires instanceof Date ){
+            expires = expires.getTime();
+        } else if( typeof expires === "number" ){
+            expires = Date.now() + expires;
+        } else {
+            expires = null;
+        }
+        write( key, JSON.stringify({
+            "expires": expires,
+            "value": value
+        }) );
+        store.emit( "change", {
+            "external": false,
+            "key": key,
+            "newValue": value,
+            "oldValue": old
+        });
+    };
+
+    function onStorage( e ){
+        if( e.storageArea !== backend || !e.key ||
+            e.key.indexOf( prefix ) !== 0 ||
+            e.key === prefix + VERSION_KEY ){
+            return;
+        }
+        var newEntry = parseEntry( e.newValue );
+        var oldEntry = parseEntry( e.oldValue );
+        store.emit( "change", {
+            "external": true,
+            "key": e.key.slice( prefix.length ),
+            "newValue": newEntry ? newEntry.value : undefined,
+            "oldValue": oldEntry ? oldEntry.value : undefined
+        });
+    }
+
+    if( typeof window !== "undefined" && backend !== memoryStorage ){
+        addEvent( window, "storage", onStorage );
+    }
+
+    if( isDefined( opts.version ) ){
+        migrateStore( store, backend, prefix, opts.version, opts.migrations || {} );
+    }
+
+    return store;
+}
+
+/**
+ * Creates an object that works like localStorage but only lives in memory
+ * @private
+ * @return {Object}
+ */
+function createMemoryStorage(){
+    var data = {};
+    var storage = {
+        "getItem": function getItem( key ){
+            return hasOwnProperty( data, key ) ? data[ key ] : null;
+        },
+        "key": function key( index ){
+            var keys = Object.keys( data );
+            return index < keys.length ? keys[ index ] : null;
+        },
+        "length": 0,
+        "removeItem": function removeItem( key ){
+            delete data[ key ];
+            storage.length = Object.keys( data ).length;
+        },
+        "setItem": function setItem( key, value ){
+            data[ key ] = String( value );
+            storage.length = Object.keys( data ).length;
+        }
+    };
+    return storage;
+}
+
+/**
+ * Gets the storage for the backend, or memory if it can't be used
+ * @private
+ * @param  {String} name
+ * @return {Storage}
+ */
+function getBackend( name ){
+    if( name === "memory" ) return memoryStorage;
+    var storage = null;
+    var testKey = getNamespaceKey( "storage_test" );
+    try {
+        storage = name === "session" ? window.sessionStorage : window.localStorage;
+        storage.setItem( testKey, testKey );
+        storage.removeItem( testKey );
+    } catch( e ){
+        return memoryStorage;
+    }
+    return storage || memoryStorage;
+}
+
+/**
+ * Runs the migrations between the stored version and the current one
+ * @private
+ * @param  {Object} store
+ * @param  {Storage} backend
+ * @param  {String} prefix
+ * @param  {Number} version
+ * @param  {Object} migrations
+ */
+function migrateStore( store, backend, prefix, version, migrations ){
+    var stored = parseInt( safeGetItem( backend, prefix + VERSION_KEY ), 10 ) || 0;
+    if( stored >= version ) return;
+    var versions = Object.keys( migrations ).map(function( v ){
+        return parseInt( v, 10 );
+    }).filter(function( v ){
+        return v > stored && v <= version;
+    }).sort(function( a, b ){
+        return a - b;
+    });
+    for( var i = 0; i < versions.length; i++ ){
+        migrations[ versions[ i ] ]( store, stored );
+    }
+    try {
+        backend.setItem( prefix + VERSION_KEY, String( version ) );
+    } catch( e ){}
+}
+
+/**
+ * Parses a stored entry
+ * @private
+ * @param  {String} raw
+ * @return {Object/Null} { expires, value }
+ */
+function parseEntry( raw ){
+    if( !isDefined( raw ) ) return null;
+    try {
+        var entry = JSON.parse( raw );
+        if( entry && typeof entry === "object" && "value" in entry ) return entry;
+    } catch( e ){}
+    return null;
+}
+
+/**
+ * Reads from the storage without throwing
+ * @private
+ * @param  {Storage} storage
+ * @param  {String} key
+ * @return {String/Null}
+ */
+function safeGetItem( storage, key ){
+    try {
+        return storage.getItem( key );
+    } catch( e ){
+        return null;
+    }
+}
@@ -0,0 +1,209 @@
+"use strict";
+
+/**
+ * @module tracking
+ */
+
+import { EventEmitter } from "./events";
+import {
+    ajax,
+    createEventTemplate,
+    isDefined,
+    onIdle,
+    onPageHide,
+    onVisibilityChange
+} from "./functions";
+import { createStore } from "./storage";
+
+var QUEUE_KEY = "queue";
+
+/**
+ * Creates a queue for tracking events. Events are sent in batches once there
+ * are enough of them or the oldest has waited long enough, and whenever the
+ * page is hidden or unloaded.
+ *
+ * Batches are POSTed as `{ "events": [] }` JSON with a text/plain content
+ * type, so no preflight is needed. navigator.sendBeacon is used where it is
+ * available, so batches sent as the page unloads aren't lost, otherwise an
+ * XHR. Batches that fail are kept in storage and sent again when the page
+ * is shown again, or on the next page view.
+ *
+ * The tracker is an EventEmitter. It emits "send" with { events, transport },
+ * transport being "beacon" or "xhr", and "error" with { error, events } when
+ * a batch failed and was stored.
+ * @param  {Object} options
+ * @param  {String} options.url
+ * @param  {String} [options.namespace="tracking"] Brand abbreviation for the
+ *                                                 storage
+ * @param  {String} [options.backend="local"] Storage backend, see createStore
+ * @param  {Number} [options.maxBatchSize=10] Events to a batch
+ * @param  {Number} [options.maxWait=5000]    Milliseconds an event waits
+ *                                            before its batch is sent
+ * @param  {Number} [options.maxStored=100]   Unsent events kept in storage,
+ *                                            the oldest are dropped first
+ * @return {Object} { destroy, flush, pending, track } and the EventEmitter
+ *                  methods
+ */
+export function createTracker( options ){
+    var opts = options || {};
+    var maxBatchSize = opts.maxBatchSize || 10;
+    var maxWait = isDefined( opts.maxWait ) ? opts.maxWait : 5000;
+    var maxStored = opts.maxStored || 100;
+    var store = createStore( opts.namespace || "tracking", {
+        "backend": opts.backend || "local"
+    });
+    var tracker = new EventEmitter();
+    var queue = [];
+    var timer = null;
+
+    function persist( events ){
+        var stored = store.get( QUEUE_KEY, [] ).concat( events );
+        store.set( QUEUE_KEY, stored.slice( -maxStored ) );
+    }
+
+    function send( events, unloading ){
+        var body = JSON.stringify({
+            "events": events
+        });
+        if( sendBeacon( opts.url, body ) ){
+            tracker.emit( "send", {
+                "events": events,
+                "transport": "beacon"
+            });
+            return Promise.resolve( true );
+        }
+        if( unloading ){
+            persist( events );
+            return Promise.resolve( false );
+        }
+        return ajax({
+            "body": body,
+            "headers": {
+                "Content-Type": "text/plain;charset=UTF-8"
+            },
+            "method": "POST",
+            "url": opts.url
+        }).then(function sent(){
+            tracker.emit( "send", {
+                "events": events,
+                "transport": "xhr"
+            });
+            return true;
+        }, function failed( error ){
+            persist( events );
+            tracker.emit( "error", {
+                "error": error,
+                "events": events
+            });
+            return false;
+        });
+    }
+
+    function sendQueue( unloading ){
+        if( timer !== null ) clearTimeout( timer );
+        timer = null;
+        var sends = [];
+        while( queue.length > 0 ){
+            sends.push( send( queue.splice( 0, maxBatchSize ), unloading ) );
+        }
+        return Promise.all( sends ).then(function sendQueue_done( results ){
+            return results.indexOf( false ) === -1;
+        });
+    }
+
+    function retryStored(){
+        var stored = store.get( QUEUE_KEY, [] );
+        if( stored.length === 0 ) return;
+        store.remove( QUEUE_KEY );
+        queue = stored.concat( queue );
+        sendQueue( false );
+    }
+
+    function flushOnUnload(){
+        if( queue.length > 0 ) sendQueue( true );
+    }
+
+    var offVisibility = onVisibilityChange(function onTrackerVisibility( e ){
+        if( e.hidden ){
+            flushOnUnload();
+        } else {
+            retryStored();
+        }
+    });
+    var offPageHide = onPageHide( flushOnUnload );
+    var cancelRetry = onIdle( retryStored, {
+        "timeout": maxWait
+    });
+
+    /**
+     * Stops listening to the page and sends what is queued
+     * @return {Promise} See flush
+     */
+    tracker.destroy = function destroy(){
+        offVisibility();
+        offPageHide();
+        cancelRetry();
+        var sent = tracker.flush();
+        store.destroy();
+        tracker.off();
+        return sent;
+    };
+
+    /**
+     * Sends every queued event now
+     * @return {Promise} Resolves with true if every batch was sent, false
+     *                   if any were stored to try again
+     */
+    tracker.flush = function flush(){
+        return sendQueue( false );
+    };
+
+    /**
+     * Gets the events waiting to be sent
+     * @return {Array}
+     */
+    tracker.pending = function pending(){
+        return queue.slice();
+    };
+
+    /**
+     * Queues an event, built by createEventTemplate with the page url as the
+     * target
+     * @param  {String} type e.g. "impression", "click"
+     * @param  {Object} [data]
+     * @return {Object} The event
+     */
+    tracker.track = function track( type, data ){
+        var event = createEventTemplate( type, window.location.href, data );
+        queue.push( event );
+        if( queue.length >= maxBatchSize ){
+            sendQueue( false );
+        } else if( timer === null ){
+            timer = setTimeout(function trackTimeout(){
+                timer = null;
+                sendQueue( false );
+            }, maxWait );
+        }
+        return event;
+    };
+
+    return tracker;
+}
+
+/**
+ * Sends with navigator.sendBeacon
+ * @private
+ * @param  {String} url
+ * @param  {String} body
+ * @return {Boolean} Was it queued by the browser?
+ */
+function sendBeacon( url, body ){
+    if( typeof navigator === "undefined" || typeof navigator.sendBeacon !== "function" ){
+        return false;
+    }
+    try {
+        return navigator.sendBeacon( url, body );
+    } catch( e ){
+        return false;
+    }
+}
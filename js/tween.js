@@ -0,0 +1,331 @@
+"use strict";
+
+/**
+ * Tweens and timelines, all driven by one shared requestAnimationFrame loop.
+ *
+ * Tweens and timelines return the same handle: { duration, finished,
+ * isPlaying, pause, play, progress, resume, reverse, seek, stop }.
+ * `finished` is a promise for the current run, resolving with true when it
+ * reaches the end and false when it is stopped.
+ * @module tween
+ */
+
+import { getEasing } from "./easing";
+import { clamp, hasOwnProperty, isDefined, rethrowAsync } from "./functions";
+
+var players = [];
+var frame = null;
+
+/**
+ * Interpolates between two values. Numbers are interpolated, as are the
+ * numbers in arrays and objects, however deep. Anything else switches to the
+ * end value at the end
+ * @param  {*} from
+ * @param  {*} to
+ * @param  {Number} progress 0 to 1, can go past either end
+ * @return {*}
+ */
+export function interpolate( from, to, progress ){
+    if( !isDefined( from ) ) return to;
+    if( typeof from === "number" && typeof to === "number" ){
+        return from + ( to - from ) * progress;
+    }
+    var result = null;
+    if( Array.isArray( to ) ){
+        result = [];
+        for( var i = 0; i < to.length; i++ ){
+            result.push( interpolate( from[ i ], to[ i ], progress ) );
+        }
+        return result;
+    }
+    if( to && typeof to === "object" ){
+        result = {};
+        for( var key in to ){
+            if( hasOwnProperty( to, key ) ){
+                result[ key ] = interpolate( from[ key ], to[ key ], progress );
+            }
+        }
+        return result;
+    }
+    return progress < 1 ? from : to;
+}
+
+/**
+ * Runs tweens and timelines one after the other. Put them in an array to
+ * run them at the same time. Steps aren't rendered until they start, and
+ * their onComplete is called when they reach the end.
+ *
+ *     timeline([ fadeOut, [ slideIn, grow ], fadeIn ]);
+ * @param  {Array}  steps   Tween options or handles, arrays of them run in
+ *                          parallel. Handles passed in are paused, create
+ *                          them with autoplay false
+ * @param  {Object} [options]
+ * @param  {Boolean} [options.autoplay=true]
+ * @param  {Function} [options.onUpdate]   Called with the progress
+ * @param  {Function} [options.onComplete]
+ * @return {Object} The handle
+ */
+export function timeline( steps, options ){
+    var opts = options || {};
+    var entries = [];
+    var duration = 0;
+    for( var i = 0; i < steps.length; i++ ){
+        var group = [].concat( steps[ i ] );
+        var groupDuration = 0;
+        for( var j = 0; j < group.length; j++ ){
+            var child = toHandle( group[ j ] );
+            child.pause();
+            entries.push({
+                "handle": child,
+                "start": duration
+            });
+            groupDuration = Math.max( groupDuration, child.duration );
+        }
+        duration += groupDuration;
+    }
+    return createPlayer( duration, function timeline_render( time, progress ){
+        var k = 0;
+        var entry = null;
+        // Rewind the steps gone back past first, so the earlier steps win
+        for( k = entries.length - 1; k >= 0; k-- ){
+            entry = entries[ k ];
+            if( entry.start > time && entry.handle.progress() > 0 ) entry.handle._render( 0 );
+        }
+        for( k = 0; k < entries.length; k++ ){
+            entry = entries[ k ];
+            if( entry.start > time ) continue;
+            var wasComplete = entry.handle.progress() >= 1;
+            entry.handle._render( clamp( 0, entry.handle.duration, time - entry.start ) );
+            if( !wasComplete && entry.handle.progress() >= 1 ) entry.handle._complete();
+        }
+        if( opts.onUpdate ) opts.onUpdate( progress );
+    }, opts );
+}
+
+/**
+ * Tweens between two values, see interpolate for the values that can be
+ * tweened
+ * @param  {Object}   options
+ * @param  {*}        options.from
+ * @param  {*}        options.to
+ * @param  {Number}   [options.duration=400] Milliseconds
+ * @param  {String/Function} [options.easing="easeInOutQuad"] An easing or
+ *                                                             its name
+ * @param  {Function} [options.onUpdate] Called with the value and the
+ *                                       progress
+ * @param  {Function} [options.onComplete]
+ * @param  {Boolean}  [options.autoplay=true]
+ * @return {Object}   The handle
+ */
+export function tween( options ){
+    var easing = getEasing( options.easing );
+    var duration = isDefined( options.duration ) ? Math.max( 0, options.duration ) : 400;
+    return createPlayer( duration, function tween_render( time, progress ){
+        var value = interpolate( options.from, options.to, easing( progress ) );
+        if( options.onUpdate ) options.onUpdate( value, progress );
+    }, options );
+}
+
+/**
+ * Creates the handle that plays a render function over the duration
+ * @private
+ * @param  {Number}   duration
+ * @param  {Function} render   Called with the time and progress
+ * @param  {Object}   options  { autoplay, onComplete }
+ * @return {Object}
+ */
+function createPlayer( duration, render, options ){
+    var player = {
+        "direction": 1,
+        "lastFrame": null,
+        "rendered": null,
+        "settle": null,
+        "tick": null,
+        "time": 0
+    };
+    var handle = {
+        "duration": duration,
+        "finished": null
+    };
+
+    function renderTime( time ){
+        player.time = time;
+        if( time === player.rendered ) return;
+        player.rendered = time;
+        var progress = duration > 0 ? time / duration : ( player.direction > 0 ? 1 : 0 );
+        render( time, clamp( 0, 1, progress ) );
+    }
+
+    function isAtEnd(){
+        return player.direction > 0 ? player.time >= duration : player.time <= 0;
+    }
+
+    function settle( completed ){
+        var settleFinished = player.settle;
+        player.settle = null;
+        if( settleFinished ) settleFinished( completed );
+    }
+
+    function complete(){
+        if( options.onComplete ) options.onComplete();
+    }
+
+    function finish(){
+        handle.pause();
+        complete();
+        settle( true );
+    }
+
+    player.tick = function tick( now ){
+        if( player.lastFrame === null ) player.lastFrame = now;
+        var time = player.time + ( now - player.lastFrame ) * player.direction;
+        player.lastFrame = now;
+        renderTime( clamp( 0, duration, time ) );
+        if( isAtEnd() ) finish();
+    };
+
+    /**
+     * Checks if it is playing
+     * @return {Boolean}
+     */
+    handle.isPlaying = function isPlaying(){
+        return players.indexOf( player ) !== -1;
+    };
+
+    /**
+     * Pauses where it is
+     */
+    handle.pause = function pause(){
+        var index = players.indexOf( player );
+        if( index !== -1 ) players.splice( index, 1 );
+        player.lastFrame = null;
+    };
+
+    /**
+     * Plays in the current direction, from the start if it has finished
+     * @return {Object} The handle
+     */
+    handle.play = function play(){
+        if( handle.isPlaying() ) return handle;
+        if( isAtEnd() ){
+            player.time = player.direction > 0 ? 0 : duration;
+            player.rendered = null;
+        }
+        if( !player.settle ){
+            handle.finished = new Promise(function play_promise( resolve ){
+                player.settle = resolve;
+            });
+        }
+        players.push( player );
+        if( frame === null ) frame = requestFrame( loop );
+        return handle;
+    };
+
+    /**
+     * Gets the progress, from 0 to 1
+     * @return {Number}
+     */
+    handle.progress = function progress(){
+        return duration > 0 ? player.time / duration : ( isAtEnd() ? 1 : 0 );
+    };
+
+    /**
+     * Carries on playing after a pause, unless it has finished
+     * @return {Object} The handle
+     */
+    handle.resume = function resume(){
+        if( !isAtEnd() ) handle.play();
+        return handle;
+    };
+
+    /**
+     * Plays the other way from where it is
+     * @return {Object} The handle
+     */
+    handle.reverse = function reverse(){
+        player.direction *= -1;
+        handle.pause();
+        return handle.play();
+    };
+
+    /**
+     * Jumps to the progress without changing if it is playing
+     * @param  {Number} progress 0 to 1
+     * @return {Object} The handle
+     */
+    handle.seek = function seek( progress ){
+        renderTime( clamp( 0, 1, progress ) * duration );
+        player.lastFrame = null;
+        return handle;
+    };
+
+    /**
+     * Stops where it is, resolving finished with false
+     */
+    handle.stop = function stop(){
+        handle.pause();
+        settle( false );
+    };
+
+    handle._complete = complete;
+    handle._render = renderTime;
+
+    if( options.autoplay !== false ){
+        handle.play();
+    } else {
+        handle.finished = Promise.resolve( false );
+    }
+    return handle;
+}
+
+/**
+ * Ticks every playing tween and timeline, requesting the next frame while
+ * any are left. One that throws is paused and its error rethrown
+ * asynchronously, so the others carry on
+ * @private
+ * @param  {Number} now
+ */
+function loop( now ){
+    frame = null;
+    var playing = players.slice();
+    for( var i = 0; i < playing.length; i++ ){
+        if( players.indexOf( playing[ i ] ) === -1 ) continue;
+        try {
+            playing[ i ].tick( now );
+        } catch( err ){
+            var index = players.indexOf( playing[ i ] );
+            if( index !== -1 ) players.splice( index, 1 );
+            rethrowAsync( err );
+        }
+    }
+    if( players.length > 0 && frame === null ) frame = requestFrame( loop );
+}
+
+/**
+ * Requests an animation frame, falling back to a timeout
+ * @private
+ * @param  {Function} fn Called with the time
+ * @return {Number}
+ */
+function requestFrame( fn ){
+    if( typeof requestAnimationFrame === "function" ) return requestAnimationFrame( fn );
+    return setTimeout(function requestFrame_timeout(){
+        fn( Date.now() );
+    }, 16 );
+}
+
+/**
+ * Turns a timeline step into a handle
+ * @private
+ * @param  {Object} step Tween options or a handle
+ * @return {Object}
+ */
+function toHandle( step ){
+    if( typeof step._render === "function" ) return step;
+    var options = {};
+    for( var key in step ){
+        if( hasOwnProperty( step, key ) ) options[ key ] = step[ key ];
+    }
+    options.autoplay = false;
+    return tween( options );
+}
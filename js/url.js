@@ -0,0 +1,287 @@
+"use strict";
+
+/**
+ * @module url
+ */
+
+import { detectHistory } from "./detect";
+import {
+    addEvent,
+    hasOwnProperty,
+    isDefined,
+    removeEvent,
+    serializeUrlEncoded
+} from "./functions";
+
+var HASH_PREFIX = "!";
+
+var hashListeners = [];
+var hashStates = {};
+
+/**
+ * Builds a url. Either pass a url to add the query to, or the parts from
+ * parseUrl. Query values that are null or undefined remove the key
+ * @param  {String/Object} url   A url, or { hash, host, pathname, protocol,
+ *                               query }
+ * @param  {Object} [query]      Merged into the urls query
+ * @param  {String} [hash]       Replaces the hash, without the #
+ * @return {String}
+ */
+export function buildUrl( url, query, hash ){
+    var parts = typeof url === "string" ? splitUrl( url ) : {
+        "base": ( url.protocol ? url.protocol + "//" : "" ) +
+            ( url.host || "" ) + ( url.pathname || "" ),
+        "hash": url.hash ? url.hash.replace( /^#/, "" ) : "",
+        "query": url.query || {}
+    };
+    var merged = {};
+    var key = null;
+    for( key in parts.query ){
+        if( hasOwnProperty( parts.query, key ) ) merged[ key ] = parts.query[ key ];
+    }
+    if( query ){
+        for( key in query ){
+            if( hasOwnProperty( query, key ) ) merged[ key ] = query[ key ];
+        }
+    }
+    var search = stringifyQuery( merged );
+    var finalHash = isDefined( hash ) ? hash : parts.hash;
+    return parts.base + ( search ? "?" + search : "" ) +
+        ( finalHash ? "#" + finalHash : "" );
+}
+
+/**
+ * Gets the state of the current history entry
+ * @return {*}
+ */
+export function getState(){
+    if( detectHistory() ) return window.history.state;
+    var url = getHashUrl();
+    return url !== null && hasOwnProperty( hashStates, url ) ? hashStates[ url ] : null;
+}
+
+/**
+ * Listens for the user moving through the history. The listener is called
+ * with { state, url }. Without the history api it listens to hash changes
+ * made by pushState and replaceState
+ * @param  {Function} fn
+ * @return {Function} Removes the listener
+ */
+export function onPopState( fn ){
+    var useHistory = detectHistory();
+    // The hash pushState or replaceState set, which this listener ignores
+    var record = {
+        "ignore": null
+    };
+    function listener( e ){
+        if( useHistory ){
+            return fn({
+                "state": e.state,
+                "url": window.location.href
+            });
+        }
+        var url = getHashUrl();
+        if( window.location.hash === record.ignore ){
+            record.ignore = null;
+            return;
+        }
+        fn({
+            "state": url !== null && hasOwnProperty( hashStates, url ) ? hashStates[ url ] : null,
+            "url": url !== null ? url : window.location.href
+        });
+    }
+    var type = useHistory ? "popstate" : "hashchange";
+    addEvent( window, type, listener );
+    if( !useHistory ) hashListeners.push( record );
+    return function offPopState(){
+        removeEvent( window, type, listener );
+        var index = hashListeners.indexOf( record );
+        if( index !== -1 ) hashListeners.splice( index, 1 );
+    };
+}
+
+/**
+ * Parses a query string into an object. Repeated keys and keys ending in []
+ * become arrays
+ * @param  {String} [query=location.search] With or without the leading ?
+ * @return {Object}
+ */
+export function parseQuery( query ){
+    var str = isDefined( query ) ? query : window.location.search;
+    var result = {};
+    str = str.replace( /^[?#]/, "" );
+    if( str === "" ) return result;
+    var pairs = str.split( "&" );
+    for( var i = 0; i < pairs.length; i++ ){
+        if( pairs[ i ] === "" ) continue;
+        var index = pairs[ i ].indexOf( "=" );
+        var key = decodeQueryPart( index === -1 ? pairs[ i ] : pairs[ i ].slice( 0, index ) );
+        var value = index === -1 ? "" : decodeQueryPart( pairs[ i ].slice( index + 1 ) );
+        var isArray = /\[\]$/.test( key );
+        if( isArray ) key = key.slice( 0, -2 );
+        if( hasOwnProperty( result, key ) ){
+            result[ key ] = [].concat( result[ key ], value );
+        } else {
+            result[ key ] = isArray ? [ value ] : value;
+        }
+    }
+    return result;
+}
+
+/**
+ * Parses a url, relative urls are resolved against the page
+ * @param  {String} [url=location.href]
+ * @return {Object} { hash, host, hostname, href, origin, pathname, port,
+ *                  protocol, query, search }
+ */
+export function parseUrl( url ){
+    var a = document.createElement("a");
+    a.href = isDefined( url ) ? url : window.location.href;
+    var pathname = a.pathname.charAt( 0 ) === "/" ? a.pathname : "/" + a.pathname;
+    return {
+        "hash": a.hash,
+        "host": a.host,
+        "hostname": a.hostname,
+        "href": a.href,
+        "origin": a.protocol + "//" + a.host,
+        "pathname": pathname,
+        "port": a.port,
+        "protocol": a.protocol,
+        "query": parseQuery( a.search ),
+        "search": a.search
+    };
+}
+
+/**
+ * Adds a history entry. Without the history api the url is stored in the
+ * hash instead
+ * @param  {*} state
+ * @param  {String} [title] Sets the document title
+ * @param  {String} url
+ */
+export function pushState( state, title, url ){
+    changeState( state, title, url, false );
+}
+
+/**
+ * Replaces the current history entry. Without the history api the url is
+ * stored in the hash instead
+ * @param  {*} state
+ * @param  {String} [title] Sets the document title
+ * @param  {String} url
+ */
+export function replaceState( state, title, url ){
+    changeState( state, title, url, true );
+}
+
+/**
+ * Turns an object into a query string. Arrays repeat the key and null or
+ * undefined values are left out
+ * @param  {Object} params
+ * @return {String}    Without a leading ?
+ */
+export function stringifyQuery( params ){
+    return serializeUrlEncoded( params );
+}
+
+/**
+ * Merges the params into the current query and updates the url. null or
+ * undefined values remove the key. Without the history api the current url
+ * is the one in the hash
+ * @param  {Object} params
+ * @param  {Object} [options]
+ * @param  {Boolean} [options.replace=false] Replace the history entry instead
+ *                                           of adding one
+ * @param  {*} [options.state]
+ * @return {String} The new url
+ */
+export function updateQuery( params, options ){
+    var opts = options || {};
+    var current = null;
+    if( detectHistory() ){
+        current = window.location.pathname + window.location.search +
+            window.location.hash;
+    } else {
+        current = getHashUrl();
+        if( current === null ) current = window.location.pathname + window.location.search;
+    }
+    var url = buildUrl( current, params );
+    changeState( isDefined( opts.state ) ? opts.state : getState(), null, url,
+        !!opts.replace );
+    return url;
+}
+
+/**
+ * Changes the history entry, falling back to the hash
+ * @private
+ * @param  {*} state
+ * @param  {String} title
+ * @param  {String} url
+ * @param  {Boolean} replace
+ */
+function changeState( state, title, url, replace ){
+    if( title ) document.title = title;
+    if( detectHistory() ){
+        if( replace ){
+            window.history.replaceState( state, title || "", url );
+        } else {
+            window.history.pushState( state, title || "", url );
+        }
+        return;
+    }
+    var hash = "#" + HASH_PREFIX + url;
+    hashStates[ url ] = state;
+    if( window.location.hash === hash ) return;
+    for( var i = 0; i < hashListeners.length; i++ ){
+        hashListeners[ i ].ignore = hash;
+    }
+    if( replace ){
+        window.location.replace( window.location.href.split( "#" )[ 0 ] + hash );
+    } else {
+        window.location.hash = hash;
+    }
+}
+
+/**
+ * Decodes part of a query string, + is a space
+ * @private
+ * @param  {String} value
+ * @return {String}
+ */
+function decodeQueryPart( value ){
+    var str = value.replace( /\+/g, " " );
+    try {
+        return decodeURIComponent( str );
+    } catch( e ){
+        return str;
+    }
+}
+
+/**
+ * Gets the url stored in the hash by the fallback
+ * @private
+ * @return {String/Null}
+ */
+function getHashUrl(){
+    var hash = window.location.hash.replace( /^#/, "" );
+    if( hash.indexOf( HASH_PREFIX ) !== 0 ) return null;
+    return hash.slice( HASH_PREFIX.length );
+}
+
+/**
+ * Splits a url into the part before the query, the query and the hash
+ * @private
+ * @param  {String} url
+ * @return {Object} { base, hash, query }
+ */
+function splitUrl( url ){
+    var hashIndex = url.indexOf( "#" );
+    var hash = hashIndex === -1 ? "" : url.slice( hashIndex + 1 );
+    var rest = hashIndex === -1 ? url : url.slice( 0, hashIndex );
+    var queryIndex = rest.indexOf( "?" );
+    return {
+        "base": queryIndex === -1 ? rest : rest.slice( 0, queryIndex ),
+        "hash": hash,
+        "query": queryIndex === -1 ? {} : parseQuery( rest.slice( queryIndex + 1 ) )
+    };
+}
@@ -0,0 +1,345 @@
+"use strict";
+
+/**
+ * @module visibility
+ */
+
+import {
+    addEvent,
+    getElementOffset,
+    getWindowScrollLeft,
+    getWindowScrollTop,
+    removeEvent,
+    throttle
+} from "./functions";
+
+var records = [];
+var observers = {};
+var fallbackListener = null;
+
+/**
+ * Stops observing every element
+ */
+export function disconnectVisibility(){
+    while( records.length > 0 ){
+        removeRecord( records[ 0 ] );
+    }
+}
+
+/**
+ * Calls back when the element enters or leaves the viewport. Uses
+ * IntersectionObserver when it is available, otherwise one shared throttled
+ * scroll and resize listener checks every observed element.
+ * @param  {HTMLElement} el
+ * @param  {Object}   [options]
+ * @param  {Number}   [options.threshold=0]    Ratio of the element that has to
+ *                                             be visible, 0 is any of it
+ * @param  {String}   [options.rootMargin="0px"] Grows or shrinks the viewport,
+ *                                               as a CSS margin
+ * @param  {Boolean}  [options.once=false]     Stop observing after it enters
+ * @param  {Number}   [options.minVisibleTime=0] Milliseconds it has to stay
+ *                                               visible before it has entered
+ * @param  {Function} callback Called with { direction, element, isVisible,
+ *                             ratio } where direction is "enter" or "leave"
+ * @return {Function} Stops observing
+ */
+export function observeVisibility( el, options, callback ){
+    if( typeof options === "function" ){
+        callback = options;
+        options = {};
+    }
+    var opts = options || {};
+    var record = {
+        "callback": callback,
+        "element": el,
+        "inView": false,
+        "minVisibleTime": opts.minVisibleTime || 0,
+        "observerKey": null,
+        "once": !!opts.once,
+        "pending": false,
+        "ratio": 0,
+        "rootMargin": opts.rootMargin || "0px",
+        "threshold": opts.threshold || 0,
+        "timer": null
+    };
+    records.push( record );
+
+    if( hasIntersectionObserver() ){
+        observeWithIntersectionObserver( record );
+    } else {
+        observeWithScrollListener();
+    }
+
+    return function unobserve(){
+        removeRecord( record );
+    };
+}
+
+/**
+ * Stops observing the element. Pass the callback to only remove that
+ * observation
+ * @param  {HTMLElement} el
+ * @param  {Function} [callback]
+ */
+export function unobserveVisibility( el, callback ){
+    for( var i = records.length - 1; i >= 0; i-- ){
+        if( records[ i ].element === el &&
+            ( !callback || records[ i ].callback === callback ) ){
+            removeRecord( records[ i ] );
+        }
+    }
+}
+
+/**
+ * Checks every record observed by the scroll listener
+ * @private
+ */
+function checkScrollRecords(){
+    var viewport = {
+        "bottom": getWindowScrollTop() + window.innerHeight,
+        "left": getWindowScrollLeft(),
+        "right": getWindowScrollLeft() + window.innerWidth,
+        "top": getWindowScrollTop()
+    };
+    var current = records.slice();
+    for( var i = 0; i < current.length; i++ ){
+        if( current[ i ].observerKey === null ){
+            var ratio = getVisibleRatio( current[ i ], viewport );
+            updateRecord( current[ i ], isRatioVisible( current[ i ], ratio ),
+                ratio );
+        }
+    }
+}
+
+/**
+ * Marks the record as visible and calls back
+ * @private
+ * @param  {Object} record
+ */
+function enterRecord( record ){
+    record.pending = false;
+    record.inView = true;
+    notifyRecord( record, "enter" );
+    if( record.once ) removeRecord( record );
+}
+
+/**
+ * Works out how much of the element is inside the viewport grown by the
+ * root margin
+ * @private
+ * @param  {Object} record
+ * @param  {Object} viewport
+ * @return {Number}
+ */
+function getVisibleRatio( record, viewport ){
+    var margin = parseRootMargin( record.rootMargin );
+    var offset = getElementOffset( record.element );
+    var top = Math.max( offset.top, viewport.top - margin.top );
+    var bottom = Math.min( offset.bottom, viewport.bottom + margin.bottom );
+    var left = Math.max( offset.left, viewport.left - margin.left );
+    var right = Math.min( offset.right, viewport.right + margin.right );
+    if( bottom < top || right < left ) return 0;
+    var area = offset.width * offset.height;
+    if( area === 0 ) return 1;
+    return ( ( bottom - top ) * ( right - left ) ) / area;
+}
+
+/**
+ * IntersectionObserver support
+ * @private
+ * @return {Boolean}
+ */
+function hasIntersectionObserver(){
+    return "IntersectionObserver" in window;
+}
+
+/**
+ * Checks if a record already observes the element with the keys observer
+ * @private
+ * @param  {String}  key
+ * @param  {HTMLElement}  el
+ * @return {Boolean}
+ */
+function isObserved( key, el ){
+    for( var i = 0; i < records.length; i++ ){
+        if( records[ i ].observerKey === key && records[ i ].element === el ) return true;
+    }
+    return false;
+}
+
+/**
+ * Checks if the ratio passes the records threshold
+ * @private
+ * @param  {Object}  record
+ * @param  {Number}  ratio
+ * @return {Boolean}
+ */
+function isRatioVisible( record, ratio ){
+    return ratio > 0 && ratio >= record.threshold;
+}
+
+/**
+ * Calls back with the records state
+ * @private
+ * @param  {Object} record
+ * @param  {String} direction
+ */
+function notifyRecord( record, direction ){
+    record.callback({
+        "direction": direction,
+        "element": record.element,
+        "isVisible": direction === "enter",
+        "ratio": record.ratio
+    });
+}
+
+/**
+ * Observes the record with an IntersectionObserver shared by every record
+ * with the same threshold and root margin. An element that is already
+ * observed is observed again, as observing it twice doesn't give the new
+ * record its initial entry
+ * @private
+ * @param  {Object} record
+ */
+function observeWithIntersectionObserver( record ){
+    var key = record.threshold + "|" + record.rootMargin;
+    if( observers[ key ] ){
+        if( isObserved( key, record.element ) ) observers[ key ].unobserve( record.element );
+    } else {
+        observers[ key ] = new window.IntersectionObserver(function( entries ){
+            for( var i = 0; i < entries.length; i++ ){
+                updateEntry( key, entries[ i ] );
+            }
+        }, {
+            "rootMargin": record.rootMargin,
+            "threshold": record.threshold > 0 ? [ 0, record.threshold ] : [ 0 ]
+        });
+    }
+    record.observerKey = key;
+    observers[ key ].observe( record.element );
+}
+
+/**
+ * Adds the shared scroll and resize listener if it isn't already listening
+ * and checks the new record
+ * @private
+ */
+function observeWithScrollListener(){
+    if( !fallbackListener ){
+        fallbackListener = throttle( checkScrollRecords, 100 );
+        addEvent( window, "scroll", fallbackListener );
+        addEvent( window, "resize", fallbackListener );
+    }
+    setTimeout( checkScrollRecords, 0 );
+}
+
+/**
+ * Parses a CSS margin into pixels. Percentages are of the viewport
+ * @private
+ * @param  {String} rootMargin
+ * @return {Object} { bottom, left, right, top }
+ */
+function parseRootMargin( rootMargin ){
+    var parts = rootMargin.trim().split( /\s+/ );
+    var values = [];
+    for( var i = 0; i < parts.length; i++ ){
+        var value = parseFloat( parts[ i ] ) || 0;
+        if( parts[ i ].indexOf( "%" ) !== -1 ){
+            value = value / 100 * ( i % 2 === 0 ? window.innerHeight : window.innerWidth );
+        }
+        values.push( value );
+    }
+    var top = values[ 0 ] || 0;
+    var right = values.length > 1 ? values[ 1 ] : top;
+    var bottom = values.length > 2 ? values[ 2 ] : top;
+    var left = values.length > 3 ? values[ 3 ] : right;
+    return {
+        "bottom": bottom,
+        "left": left,
+        "right": right,
+        "top": top
+    };
+}
+
+/**
+ * Stops observing the record, removing the shared observer or listener when
+ * nothing else uses it
+ * @private
+ * @param  {Object} record
+ */
+function removeRecord( record ){
+    var index = records.indexOf( record );
+    if( index === -1 ) return;
+    records.splice( index, 1 );
+    clearTimeout( record.timer );
+
+    var key = record.observerKey;
+    if( key !== null ){
+        if( !isObserved( key, record.element ) ) observers[ key ].unobserve( record.element );
+        for( var i = 0; i < records.length; i++ ){
+            if( records[ i ].observerKey === key ) return;
+        }
+        observers[ key ].disconnect();
+        delete observers[ key ];
+        return;
+    }
+
+    for( var j = 0; j < records.length; j++ ){
+        if( records[ j ].observerKey === null ) return;
+    }
+    if( fallbackListener ){
+        removeEvent( window, "scroll", fallbackListener );
+        removeEvent( window, "resize", fallbackListener );
+        fallbackListener = null;
+    }
+}
+
+/**
+ * Updates the records observing the entries element
+ * @private
+ * @param  {String} key
+ * @param  {IntersectionObserverEntry} entry
+ */
+function updateEntry( key, entry ){
+    var current = records.slice();
+    for( var i = 0; i < current.length; i++ ){
+        if( current[ i ].observerKey === key &&
+            current[ i ].element === entry.target ){
+            updateRecord( current[ i ], entry.isIntersecting &&
+                entry.intersectionRatio >= current[ i ].threshold,
+                entry.intersectionRatio );
+        }
+    }
+}
+
+/**
+ * Enters or leaves the record when its visibility changes, waiting for the
+ * minimum visible time before entering
+ * @private
+ * @param  {Object}  record
+ * @param  {Boolean} isVisible
+ * @param  {Number}  ratio
+ */
+function updateRecord( record, isVisible, ratio ){
+    record.ratio = ratio;
+    if( isVisible ){
+        if( record.inView || record.pending ) return;
+        if( record.minVisibleTime > 0 ){
+            record.pending = true;
+            record.timer = setTimeout(function(){
+                enterRecord( record );
+            }, record.minVisibleTime );
+        } else {
+            enterRecord( record );
+        }
+        return;
+    }
+    if( record.pending ){
+        record.pending = false;
+        clearTimeout( record.timer );
+    }
+    if( record.inView ){
+        record.inView = false;
+        notifyRecord( record, "leave" );
+    }
+}